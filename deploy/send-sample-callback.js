@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Post a sample KIE callback to a running server, for testing /api/kie/callback locally.
+ *
+ * Usage:
+ *   node deploy/send-sample-callback.js <taskId> [success|fail] [baseUrl]
+ *
+ * The callback token and upstream type (market / veo / image) are read from the task
+ * log DATA_DIR/tasks.jsonl, so run this on the machine that created the task, with the
+ * same DATA_DIR / ROOT_DIR as the server. baseUrl defaults to http://127.0.0.1:$PORT.
+ */
+
+require('dotenv').config();
+
+const path = require('path');
+const fs = require('fs');
+
+const [taskId, outcome = 'success', baseArg] = process.argv.slice(2);
+if (!taskId) {
+  console.error('Usage: node deploy/send-sample-callback.js <taskId> [success|fail] [baseUrl]');
+  process.exit(1);
+}
+
+const rootDir = process.env.ROOT_DIR || process.cwd();
+const dataDir = process.env.DATA_DIR || path.join(rootDir, 'data');
+const baseUrl = (baseArg || `http://127.0.0.1:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+// Each log line is a full record or a change to one; merge the ones for this task.
+let task = null;
+for (const line of fs.readFileSync(path.join(dataDir, 'tasks.jsonl'), 'utf8').split('\n')) {
+  if (!line.includes(taskId)) continue;
+  try {
+    const entry = JSON.parse(line);
+    if (entry.id === taskId) task = { ...task, ...entry };
+  } catch { /* damaged line */ }
+}
+if (!task) {
+  console.error(`Task ${taskId} not found in ${dataDir}/tasks.jsonl`);
+  process.exit(1);
+}
+if (!task.callbackToken) {
+  console.error(`Task ${taskId} has no callback token (was PUBLIC_BASE_URL set when it was created?)`);
+  process.exit(1);
+}
+
+const ok = outcome !== 'fail';
+const sampleUrl = task.upstream === 'image' ? 'https://example.com/sample.png' : 'https://example.com/sample.mp4';
+
+// Shapes follow the KIE callback payloads for Veo and for market (createTask) jobs.
+const payload = task.upstream === 'veo'
+  ? (ok
+    ? { code: 200, msg: 'Veo3 video generated successfully.', data: { taskId, info: { resultUrls: [sampleUrl] } } }
+    : { code: 400, msg: 'Sample failure: content policy', data: { taskId } })
+  : (ok
+    ? { code: 200, msg: 'success', data: { taskId, state: 'success', resultJson: JSON.stringify({ resultUrls: [sampleUrl] }) } }
+    : { code: 501, msg: 'failed', data: { taskId, state: 'fail', failMsg: 'Sample failure: content policy' } });
+
+(async () => {
+  const resp = await fetch(`${baseUrl}/api/kie/callback?token=${encodeURIComponent(task.callbackToken)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  console.log(resp.status, await resp.text());
+})().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
@@ -137,15 +137,7 @@ window.callWithRetry = async (type, apiCall, manualKey = '', onRetry = null) =>
         const errorMsg = error.message || '';
         
         // 判断是否需要切换Key的错误类型
-        const needRetry = errorMsg.includes('No available channels') || 
-                          errorMsg.includes('分组') ||
-                          errorMsg.includes('不可用') ||
-                          errorMsg.includes('quota') ||
-                          errorMsg.includes('rate limit') ||
-                          errorMsg.includes('exceeded') ||
-                          errorMsg.includes('invalid_api_key') ||
-                          errorMsg.includes('401') ||
-                          errorMsg.includes('403');
+        const needRetry = window.shouldRetryWithBackup(errorMsg, error.code);
         
         // 如果有备用Key且需要重试
         if (backupKey && backupKey !== primaryKey && needRetry) {
@@ -157,13 +149,21 @@ window.callWithRetry = async (type, apiCall, manualKey = '', onRetry = null) =>
     }
 };
 
+// 服务端错误码（响应中的 code 字段）：换一个 Key 可能成功的情况
+const BACKUP_RETRY_CODES = ['unauthorized', 'insufficient_credits', 'rate_limited', 'quota_exceeded'];
+
 /**
  * 检查错误是否需要切换Key
- * @param {string} errorMsg - 错误信息
+ * @param {string} errorMsg - 错误信息（可包含服务端返回的 JSON）
+ * @param {string} [code] - 服务端错误码
  * @returns {boolean}
  */
-window.shouldRetryWithBackup = (errorMsg) => {
+window.shouldRetryWithBackup = (errorMsg, code) => {
+    if (code) return BACKUP_RETRY_CODES.includes(code);
     if (!errorMsg) return false;
+    const codeMatch = /"code"\s*:\s*"([a-z_]+)"/.exec(errorMsg);
+    if (codeMatch) return BACKUP_RETRY_CODES.includes(codeMatch[1]);
+    // 其他上游的错误信息没有错误码，按关键字判断
     const retryKeywords = [
         'No available channels',
         '分组',
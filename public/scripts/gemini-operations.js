@@ -0,0 +1,71 @@
+/**
+ * Duu小助手 - Gemini 图片生成异步客户端
+ *
+ * 图片生成请求带 ?async=true 提交，服务端立即返回 operation，
+ * 页面轮询 GET /v1beta/operations/:id 直到完成，不再长时间占用一个连接
+ * （Vercel 60 秒、nginx 超时都不会中断生成）。
+ * 完成后返回与同步接口相同的 { candidates }；文本模型（润色）仍直接返回结果。
+ */
+
+const GeminiOperations = {
+  pollInterval: 3000,
+  timeout: 10 * 60 * 1000,
+
+  /**
+   * 发送请求并解析 JSON；失败时抛出 "状态码 状态文本\n响应内容"，
+   * 与页面原有的错误格式一致，便于判断是否切换备用 Key
+   */
+  async request(url, options = {}) {
+    const response = await fetch(url, options);
+    const text = await response.text();
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}\n${text}`);
+    }
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new Error('响应已返回，但解析 JSON 失败。');
+    }
+  },
+
+  /** 由 generateContent 地址得到 operation 地址（保留 API 前缀和 ?key=） */
+  operationUrl(endpoint, name) {
+    const [base, query] = endpoint.split('?');
+    const prefix = base.replace(/\/models\/[^/]+$/, '');
+    return `${prefix}/${name}${query ? `?${query}` : ''}`;
+  },
+
+  /**
+   * 生成图片：提交后轮询到完成
+   * @param {string} endpoint - /v1beta/models/{model}:generateContent 地址
+   * @param {object} body - Gemini 请求体
+   * @param {string} apiKey
+   * @param {{ onProgress?: (metadata: object) => void }} [options]
+   * @returns {Promise<object>} { candidates }
+   */
+  async generate(endpoint, body, apiKey, { onProgress } = {}) {
+    const headers = { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` };
+    const submitUrl = `${endpoint}${endpoint.includes('?') ? '&' : '?'}async=true`;
+    let op = await this.request(submitUrl, { method: 'POST', headers, body: JSON.stringify(body) });
+    if (!op.name) return op; // 同步结果（文本模型）
+
+    const pollUrl = this.operationUrl(endpoint, op.name);
+    const deadline = Date.now() + this.timeout;
+    while (!op.done) {
+      if (Date.now() > deadline) throw new Error('生成超时，请稍后在任务记录中查看结果');
+      await new Promise(r => setTimeout(r, this.pollInterval));
+      op = await this.request(pollUrl, { headers: { 'Authorization': `Bearer ${apiKey}` } });
+      if (onProgress && !op.done) onProgress(op.metadata || {});
+    }
+
+    if (op.error) {
+      throw new Error(`${op.error.code} ${op.error.status}\n${JSON.stringify({ error: op.error.message, code: op.error.status, detail: op.error.details })}`);
+    }
+    return op.response || {};
+  }
+};
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GeminiOperations;
+}
@@ -0,0 +1,95 @@
+/**
+ * Duu小助手 - 模型能力客户端
+ *
+ * 各模型支持的时长、比例、分辨率等由服务端 GET /api/models 统一提供，
+ * 页面据此生成模型和参数选择项；接口不可用时保留页面中原有的按钮。
+ */
+
+const ModelRegistry = {
+  endpoint: '/api/models',
+  requests: {}, // family -> Promise<model[] | null>
+
+  /**
+   * 获取一类模型
+   * @param {'sora'|'veo'|'kling'|'gemini'} family
+   * @returns {Promise<object[]|null>} 失败时为 null
+   */
+  load(family) {
+    if (!this.requests[family]) {
+      this.requests[family] = fetch(`${this.endpoint}?family=${encodeURIComponent(family)}`)
+        .then(response => (response.ok ? response.json() : null))
+        .then(json => (json && Array.isArray(json.data) ? json.data : null))
+        .catch(() => null);
+    }
+    return this.requests[family];
+  },
+
+  /** 按 id 或别名查找模型 */
+  find(models, id) {
+    return (models || []).find(m => m.id === id || (m.aliases || []).includes(id)) || null;
+  },
+
+  /** 页面上可选的模型（排除 hidden），可按输入类型过滤：text / image / frames / reference */
+  listed(models, input) {
+    return (models || []).filter(m => !m.hidden && (!input || m.inputs.includes(input)));
+  },
+
+  /** 比例统一为 W:H（旧缓存里可能是 16x9） */
+  normalizeRatio(value) {
+    const m = /^(\d+)\s*[x:]\s*(\d+)$/i.exec(String(value || '').trim());
+    return m ? `${m[1]}:${m[2]}` : value;
+  },
+
+  ratioLabel(ratio) {
+    const names = { '16:9': '横屏', '9:16': '竖屏', '1:1': '方形' };
+    return names[ratio] ? `${ratio} ${names[ratio]}` : ratio;
+  },
+
+  ratioItems(model) {
+    return model.ratios.map(r => ({ value: r, label: this.ratioLabel(r) }));
+  },
+
+  durationItems(model) {
+    return model.durations.map(d => ({ value: d, label: `${d}秒` }));
+  },
+
+  /**
+   * 用选项重建按钮组（.param-btn），返回最终选中的值：
+   * selected 在选项中则保留，否则选第一个。items 为空时不改动。
+   * @param {HTMLElement} group
+   * @param {{ value: string, label: string }[]} items
+   * @param {string} selected
+   * @param {string[]} [keep] - 保留在最前面的原有按钮的 data-value（如“跟随图片”）
+   */
+  fillButtons(group, items, selected, keep = []) {
+    if (!group || !items || !items.length) return selected;
+    const kept = [...group.querySelectorAll('.param-btn')].filter(b => keep.includes(b.dataset.value));
+    const all = [...kept.map(b => ({ value: b.dataset.value, label: b.textContent })), ...items];
+    const value = all.some(i => i.value === String(selected)) ? String(selected) : all[0].value;
+    group.innerHTML = '';
+    all.forEach(item => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'param-btn' + (item.value === value ? ' active' : '');
+      btn.dataset.value = item.value;
+      btn.textContent = item.label;
+      group.appendChild(btn);
+    });
+    return value;
+  },
+
+  /** 同 fillButtons，用于 <select> */
+  fillSelect(select, items, selected) {
+    if (!select || !items || !items.length) return selected;
+    const value = items.some(i => i.value === String(selected)) ? String(selected) : items[0].value;
+    select.innerHTML = '';
+    items.forEach(item => select.add(new Option(item.label, item.value, false, item.value === value)));
+    select.value = value;
+    return value;
+  }
+};
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ModelRegistry;
+}
@@ -0,0 +1,81 @@
+/**
+ * Duu小助手 - Sora 角色 API 客户端
+ *
+ * 角色由服务端调用 KIE 角色接口创建并按 APIKey 保存，
+ * 创建页、文生视频、图生视频页面共用此客户端读取角色列表。
+ */
+
+const SoraCharacters = {
+  endpoint: '/sora/v1/characters',
+
+  headers(apiKey) {
+    return { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` };
+  },
+
+  async parse(response) {
+    const text = await response.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch { /* 非 JSON 响应 */ }
+    if (!response.ok) {
+      const err = new Error((json && (json.error || json.message)) || `${response.status} ${response.statusText}`);
+      err.code = json && json.code;
+      throw err;
+    }
+    return json || {};
+  },
+
+  /**
+   * 创建角色；服务端仍在处理时自动轮询直到完成或超时
+   * @param {string} apiKey
+   * @param {{ url: string, timestamps: string, note?: string }} params
+   * @param {(record: object) => void} [onPending] - 处理中回调
+   */
+  async create(apiKey, params, onPending) {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: this.headers(apiKey),
+      body: JSON.stringify(params)
+    });
+    let record = await this.parse(response);
+    const deadline = Date.now() + 5 * 60 * 1000;
+    while (record.status === 'processing' && Date.now() < deadline) {
+      if (onPending) onPending(record);
+      await new Promise(r => setTimeout(r, 3000));
+      record = await this.get(apiKey, record.id);
+    }
+    if (record.status === 'failed') throw new Error(record.error || '角色创建失败');
+    if (record.status !== 'completed') throw new Error('角色创建超时，请稍后在角色列表中刷新');
+    return record;
+  },
+
+  async get(apiKey, id) {
+    const response = await fetch(`${this.endpoint}/${encodeURIComponent(id)}`, { headers: this.headers(apiKey) });
+    return this.parse(response);
+  },
+
+  /**
+   * 获取当前 APIKey 下的角色列表
+   * @param {string} apiKey
+   * @param {{ completedOnly?: boolean }} [options]
+   */
+  async list(apiKey, { completedOnly = false } = {}) {
+    const response = await fetch(this.endpoint, { headers: this.headers(apiKey) });
+    const json = await this.parse(response);
+    const list = Array.isArray(json.data) ? json.data : [];
+    return completedOnly ? list.filter(c => c.status === 'completed' && c.username) : list;
+  },
+
+  async remove(apiKey, id) {
+    const response = await fetch(`${this.endpoint}/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+      headers: this.headers(apiKey)
+    });
+    if (response.status === 404) return { success: true };
+    return this.parse(response);
+  }
+};
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SoraCharacters;
+}
@@ -0,0 +1,177 @@
+/**
+ * Duu小助手 - 任务状态推送客户端 (SSE)
+ *
+ * 同一 APIKey 下的所有任务共用一条 /v1/videos/events 连接，
+ * 服务端推送状态变化；推送不可用时回退为页面原有的轮询。
+ * 推送结果会转换成对应状态接口的返回格式，页面可直接复用原处理逻辑。
+ */
+
+const TaskEvents = {
+  endpoint: '/v1/videos/events',
+  unavailable: false,
+  groups: {}, // apiKey -> { subs: Map(taskId -> sub[]), controller, timer, failures }
+
+  /**
+   * 订阅任务状态
+   * @param {string} taskId
+   * @param {string} apiKey
+   * @param {{ shape?: 'video'|'kling', onResult: (result: object) => void, onFallback: () => void }} options
+   *   shape: 'video' 对应 /v1/videos/:taskId，'kling' 对应 Kling 状态接口
+   * @returns {{ close: () => void }} 可传给 TaskEvents.stop
+   */
+  watch(taskId, apiKey, { shape = 'video', onResult, onFallback }) {
+    const sub = { shape, onResult, onFallback, closed: false };
+    sub.close = () => {
+      sub.closed = true;
+      this.unsubscribe(apiKey, taskId, sub);
+    };
+
+    if (this.unavailable || typeof ReadableStream === 'undefined') {
+      onFallback();
+      return sub;
+    }
+
+    const group = this.groups[apiKey] || (this.groups[apiKey] = { subs: new Map(), controller: null, timer: null, failures: 0 });
+    if (!group.subs.has(taskId)) group.subs.set(taskId, []);
+    group.subs.get(taskId).push(sub);
+    this.schedule(apiKey, 50);
+    return sub;
+  },
+
+  /** 停止订阅或轮询（兼容 setInterval 返回的 id） */
+  stop(handle) {
+    if (handle && typeof handle.close === 'function') handle.close();
+    else clearInterval(handle);
+  },
+
+  unsubscribe(apiKey, taskId, sub) {
+    const group = this.groups[apiKey];
+    if (!group || !group.subs.has(taskId)) return;
+    const rest = group.subs.get(taskId).filter(s => s !== sub);
+    if (rest.length) group.subs.set(taskId, rest);
+    else {
+      group.subs.delete(taskId);
+      this.schedule(apiKey, 50);
+    }
+  },
+
+  // 合并短时间内的多次订阅变化，再按当前任务集合重建连接
+  schedule(apiKey, delay) {
+    const group = this.groups[apiKey];
+    if (!group) return;
+    clearTimeout(group.timer);
+    group.timer = setTimeout(() => this.connect(apiKey), delay);
+  },
+
+  async connect(apiKey) {
+    const group = this.groups[apiKey];
+    if (!group) return;
+    if (group.controller) group.controller.abort();
+    group.controller = null;
+
+    const ids = [...group.subs.keys()];
+    if (!ids.length) {
+      delete this.groups[apiKey];
+      return;
+    }
+
+    const controller = new AbortController();
+    group.controller = controller;
+    let received = false;
+
+    try {
+      const response = await fetch(`${this.endpoint}?ids=${ids.map(encodeURIComponent).join(',')}`, {
+        headers: { 'Authorization': `Bearer ${apiKey}`, 'Accept': 'text/event-stream' },
+        signal: controller.signal
+      });
+      const type = response.headers.get('Content-Type') || '';
+      if (!response.ok || !type.includes('text/event-stream') || !response.body) {
+        throw new Error(`SSE unavailable: ${response.status}`);
+      }
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value.replace(/\r\n/g, '\n');
+        let idx;
+        while ((idx = buffer.indexOf('\n\n')) >= 0) {
+          const block = buffer.slice(0, idx);
+          buffer = buffer.slice(idx + 2);
+          received = true;
+          this.handleBlock(apiKey, block);
+        }
+      }
+    } catch (err) {
+      if (controller.signal.aborted) return; // 被新的连接替换
+      if (!received) {
+        this.fallback(apiKey);
+        return;
+      }
+    }
+
+    if (group.controller !== controller) return;
+    group.controller = null;
+    // 连接到期或中断：剩余任务重新连接，连续失败则回退轮询
+    group.failures = received ? 0 : group.failures + 1;
+    if (group.failures >= 3) this.fallback(apiKey);
+    else this.schedule(apiKey, 1000);
+  },
+
+  handleBlock(apiKey, block) {
+    let event = 'message';
+    const data = [];
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    }
+    if (event !== 'task' || !data.length) return;
+
+    let payload;
+    try { payload = JSON.parse(data.join('\n')); } catch { return; }
+    const group = this.groups[apiKey];
+    const subs = group && group.subs.get(payload.id);
+    if (!subs) return;
+
+    const terminal = payload.status === 'completed' || payload.status === 'failed';
+    if (terminal) group.subs.delete(payload.id);
+    subs.forEach(sub => {
+      if (!sub.closed) sub.onResult(this.toShape(payload, sub.shape));
+    });
+  },
+
+  // 转换为原状态接口的返回格式
+  toShape(payload, shape) {
+    if (shape === 'kling') {
+      if (payload.status === 'completed') {
+        return { data: { task_status: 'succeed', task_result: { videos: [{ url: payload.video_url }] } } };
+      }
+      if (payload.status === 'failed') {
+        return { data: { task_status: 'failed', task_status_msg: payload.message || 'failed', code: payload.code } };
+      }
+      return { data: { task_status: 'processing' } };
+    }
+    if (payload.status === 'completed') return { status: 'completed', video_url: payload.video_url, progress: 1 };
+    if (payload.status === 'failed') return { status: 'failed', message: payload.message, code: payload.code };
+    return { status: 'processing', progress: payload.progress || 0 };
+  },
+
+  fallback(apiKey) {
+    const group = this.groups[apiKey];
+    if (!group) return;
+    this.unavailable = true;
+    delete this.groups[apiKey];
+    clearTimeout(group.timer);
+    for (const subs of group.subs.values()) {
+      subs.forEach(sub => {
+        if (!sub.closed) sub.onFallback();
+      });
+    }
+  }
+};
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TaskEvents;
+}
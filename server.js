@@ -12,7 +12,14 @@ require('dotenv').config();
 
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const https = require('https');
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 
 const express = require('express');
 const cookieParser = require('cookie-parser');
@@ -40,6 +47,18 @@ const UPLOADS_DIR = process.env.UPLOADS_DIR || DEFAULT_UPLOADS_DIR;
 // KIE base: keep compatibility with the previous UPSTREAM_GATEWAY_BASE name.
 const KIE_API_BASE = (process.env.KIE_API_BASE || process.env.UPSTREAM_GATEWAY_BASE || 'https://api.kie.ai').replace(/\/$/, '');
 
+// Endpoint discovery (see "Endpoint discovery"): pin a capability to one URL (absolute, or a
+// path under KIE_API_BASE) to skip probing, and how long a learned endpoint is trusted
+// before the candidates are probed again in their preferred order.
+const KIE_ENDPOINT_PINS = {
+  upload: process.env.KIE_UPLOAD_URL || '',
+  imageGenerate: process.env.KIE_IMAGE_GENERATE_URL || '',
+  credit: process.env.KIE_CREDIT_URL || '',
+  chat: process.env.KIE_CHAT_URL || ''
+};
+const KIE_IMAGE_RECORD_URL = process.env.KIE_IMAGE_RECORD_URL || '';
+const KIE_ENDPOINT_REPROBE_MS = Number(process.env.KIE_ENDPOINT_REPROBE_MS || 6 * 3600_000);
+
 // Server-side timeouts (ms)
 // Note: Vercel free tier has 10s limit, Pro has 60s. Video tasks start async and return immediately.
 // The IMAGE_SYNC_MAX_WAIT_MS is for synchronous image generation which should complete quickly.
@@ -47,6 +66,126 @@ const FETCH_TIMEOUT_MS = Number(process.env.FETCH_TIMEOUT_MS || (IS_VERCEL ? 9_0
 const IMAGE_SYNC_MAX_WAIT_MS = Number(process.env.IMAGE_SYNC_MAX_WAIT_MS || (IS_VERCEL ? 50_000 : 180_000));
 const IMAGE_SYNC_POLL_MS = Number(process.env.IMAGE_SYNC_POLL_MS || (IS_VERCEL ? 2_000 : 2_000));
 
+// Calls in flight toward KIE per endpoint class, overall and per APIKey (see "Upstream limiter"),
+// and how long a call may wait for a slot before it fails.
+const KIE_CONCURRENCY = {
+  upload: {
+    global: Number(process.env.KIE_UPLOAD_CONCURRENCY || 6),
+    perKey: Number(process.env.KIE_UPLOAD_CONCURRENCY_PER_KEY || 3)
+  },
+  create: {
+    global: Number(process.env.KIE_CREATE_CONCURRENCY || 8),
+    perKey: Number(process.env.KIE_CREATE_CONCURRENCY_PER_KEY || 3)
+  },
+  poll: {
+    global: Number(process.env.KIE_POLL_CONCURRENCY || 20),
+    perKey: Number(process.env.KIE_POLL_CONCURRENCY_PER_KEY || 8)
+  }
+};
+const KIE_QUEUE_TIMEOUT_MS = Number(process.env.KIE_QUEUE_TIMEOUT_MS || (IS_VERCEL ? 5_000 : 60_000));
+
+// fetchJson retries (extra attempts after the first, exponential backoff with jitter) and the
+// per-host circuit breaker: open after N consecutive failures, probe again after KIE_CIRCUIT_OPEN_MS.
+const KIE_RETRIES = Number(process.env.KIE_RETRIES ?? (IS_VERCEL ? 1 : 2));
+const KIE_RETRY_BASE_MS = Number(process.env.KIE_RETRY_BASE_MS || 500);
+const KIE_RETRY_MAX_MS = Number(process.env.KIE_RETRY_MAX_MS || 8_000);
+const KIE_CIRCUIT_THRESHOLD = Number(process.env.KIE_CIRCUIT_THRESHOLD || 5);
+const KIE_CIRCUIT_OPEN_MS = Number(process.env.KIE_CIRCUIT_OPEN_MS || 30_000);
+
+// Public origin of this server as KIE sees it (e.g. https://aigc.example.com). When set,
+// create calls pass callBackUrl so KIE pushes final results to /api/kie/callback.
+const PUBLIC_BASE_URL = String(process.env.PUBLIC_BASE_URL || '').trim().replace(/\/$/, '');
+
+// Task status push (SSE): how often a watched task is checked upstream, and how long one
+// stream stays open before the browser is asked to reconnect (Vercel cuts at 60s).
+const TASK_EVENTS_POLL_MS = Number(process.env.TASK_EVENTS_POLL_MS || 5_000);
+const TASK_EVENTS_MAX_STREAM_MS = Number(process.env.TASK_EVENTS_MAX_STREAM_MS || (IS_VERCEL ? 50_000 : 30 * 60_000));
+
+// Background task worker: polls unfinished tasks even when no page is open, and resumes
+// them after a restart. Off by default on Vercel (no long-lived process there).
+const TASK_WORKER_ENABLED = process.env.TASK_WORKER_ENABLED
+  ? !/^(0|false|off|no)$/i.test(process.env.TASK_WORKER_ENABLED)
+  : !IS_VERCEL;
+const TASK_WORKER_TICK_MS = Number(process.env.TASK_WORKER_TICK_MS || 5_000);
+const TASK_WORKER_CONCURRENCY = Number(process.env.TASK_WORKER_CONCURRENCY || 2);
+const TASK_WORKER_MAX_AGE_MS = Number(process.env.TASK_WORKER_MAX_AGE_MS || 48 * 3600_000);
+// Encrypts the APIKeys the worker keeps for polling. Without it no key is stored and the
+// worker only follows tasks a page or KIE callback reports on.
+const TASK_WORKER_SECRET = process.env.TASK_WORKER_SECRET || '';
+const TASK_KEY_STORAGE = TASK_WORKER_ENABLED && Boolean(TASK_WORKER_SECRET);
+
+// Storage backend for uploads and mirrored results: 'local' (UPLOADS_DIR, served at /uploads)
+// or 's3' (any S3-compatible service: Tencent COS, Huawei OBS, MinIO, AWS).
+const STORAGE_DRIVER = String(process.env.STORAGE_DRIVER || 'local').toLowerCase();
+const S3_ENDPOINT = String(process.env.S3_ENDPOINT || '').replace(/\/$/, '');
+const S3_REGION = process.env.S3_REGION || 'us-east-1';
+const S3_BUCKET = process.env.S3_BUCKET || '';
+const S3_ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID || '';
+const S3_SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY || '';
+const S3_FORCE_PATH_STYLE = !/^(0|false|off|no)$/i.test(process.env.S3_FORCE_PATH_STYLE || 'true');
+const S3_PREFIX = process.env.S3_PREFIX || '';
+// Public (CDN / public-read bucket) base URL. Without it objects are handed out as
+// /media/<key>, which redirects to a short-lived signed URL.
+const S3_PUBLIC_BASE_URL = String(process.env.S3_PUBLIC_BASE_URL || '').replace(/\/$/, '');
+const STORAGE_SIGNED_URL_TTL = Number(process.env.STORAGE_SIGNED_URL_TTL || 3600); // seconds
+
+// Result mirroring: completed results are copied into storage because KIE links expire.
+// Off by default on Vercel with local storage, where UPLOADS_DIR is a wiped /tmp.
+const MIRROR_RESULTS = process.env.MIRROR_RESULTS
+  ? !/^(0|false|off|no)$/i.test(process.env.MIRROR_RESULTS)
+  : (!IS_VERCEL || STORAGE_DRIVER === 's3');
+const MIRROR_MAX_BYTES = Number(process.env.MIRROR_MAX_BYTES || 500 * 1024 * 1024);
+const MIRROR_TIMEOUT_MS = Number(process.env.MIRROR_TIMEOUT_MS || 10 * 60_000);
+const MIRROR_WAIT_MS = Number(process.env.MIRROR_WAIT_MS || 15_000);
+const MIRROR_RETENTION_DAYS = Number(process.env.MIRROR_RETENTION_DAYS ?? 30);
+
+// Credit prices per KIE model: JSON file merged over DEFAULT_MODEL_PRICES (see "Pricing")
+const PRICE_TABLE_FILE = process.env.PRICE_TABLE_FILE || path.join(DATA_DIR, 'prices.json');
+
+// Usage logs (my-usage.html): daily JSONL files in DATA_DIR/usage
+const USAGE_LOG_MAX_BYTES = Number(process.env.USAGE_LOG_MAX_BYTES || 20 * 1024 * 1024);
+const USAGE_LOG_RETENTION_DAYS = Number(process.env.USAGE_LOG_RETENTION_DAYS ?? 180);
+// Parsed usage files kept in memory (least recently read are dropped first), by file size.
+const USAGE_CACHE_MAX_BYTES = Number(process.env.USAGE_CACHE_MAX_BYTES || 64 * 1024 * 1024);
+
+// Structured request logs (see "Request logs"): 'file' (daily JSONL in LOG_DIR, rotated by
+// size and deleted after LOG_RETENTION_DAYS), 'stdout' (one JSON line per event) or 'off'.
+const LOG_TARGET = String(process.env.LOG_TARGET || (IS_VERCEL ? 'stdout' : 'file')).toLowerCase();
+const LOG_DIR = process.env.LOG_DIR || path.join(DATA_DIR, 'logs');
+const LOG_MAX_BYTES = Number(process.env.LOG_MAX_BYTES || 50 * 1024 * 1024);
+const LOG_RETENTION_DAYS = Number(process.env.LOG_RETENTION_DAYS ?? 14);
+// Prompts: 'redact' (length + short hash only), 'truncate' (first LOG_PROMPT_CHARS characters)
+// or 'full'. APIKeys are never written: 'hash' logs the key hash, 'none' leaves it out too.
+const LOG_PROMPTS = String(process.env.LOG_PROMPTS || 'redact').toLowerCase();
+const LOG_PROMPT_CHARS = Number(process.env.LOG_PROMPT_CHARS || 80);
+const LOG_KEYS = String(process.env.LOG_KEYS || 'hash').toLowerCase();
+
+// Prometheus metrics at GET /metrics (see "Metrics"); the endpoint is off until a token is set.
+// Scrapers send it as `Authorization: Bearer <token>` (or ?token=).
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+// Per-key budgets (see "Budgets"): defaults for every APIKey, empty = unlimited.
+// BUDGET_FILE holds per-key overrides and can be edited while the server runs.
+const BUDGET_FILE = process.env.BUDGET_FILE || path.join(DATA_DIR, 'budgets.json');
+const BUDGET_DAILY_CREDITS = process.env.BUDGET_DAILY_CREDITS || '';
+const BUDGET_MONTHLY_CREDITS = process.env.BUDGET_MONTHLY_CREDITS || '';
+const BUDGET_DAILY_JOBS = process.env.BUDGET_DAILY_JOBS || '';
+const BUDGET_MONTHLY_JOBS = process.env.BUDGET_MONTHLY_JOBS || '';
+
+// Sora character creation (KIE market model id + how long POST waits before returning 202)
+const SORA_CHARACTER_MODEL = process.env.SORA_CHARACTER_MODEL || 'sora-2-characters';
+const SORA_CHARACTER_SYNC_MAX_WAIT_MS = Number(process.env.SORA_CHARACTER_SYNC_MAX_WAIT_MS || IMAGE_SYNC_MAX_WAIT_MS);
+
+// Prompt polishing (text-only generateContent): the KIE chat model that rewrites prompts,
+// and its reply length cap.
+const PROMPT_POLISH_MODEL = process.env.PROMPT_POLISH_MODEL || 'gemini-2.5-flash';
+const PROMPT_POLISH_MAX_TOKENS = Number(process.env.PROMPT_POLISH_MAX_TOKENS || 1024);
+
+// Chat model fallbacks (/v1/chat/completions): JSON of model id or `*` pattern -> models to
+// try next, e.g. {"gpt-5*":["gpt-4o"],"claude-opus-*":["claude-sonnet-4-5"]}. Used when the
+// requested model fails before anything has been streamed.
+const CHAT_FALLBACKS = process.env.CHAT_FALLBACKS || '';
+
 // Upload limits
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -91,26 +230,157 @@ function sha256Short(str) {
   return crypto.createHash('sha256').update(str).digest('hex').slice(0, 16);
 }
 
+// cancel() also detaches from the caller's signal, which outlives every retry attempt.
 function withTimeout(signal, ms) {
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(new Error('Fetch timeout')), ms);
-  if (signal) {
-    signal.addEventListener('abort', () => controller.abort(signal.reason));
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener('abort', onAbort, { once: true });
+  return {
+    signal: controller.signal,
+    cancel: () => {
+      clearTimeout(timeout);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+// Circuit breaker per upstream host. Network errors, timeouts and 5xx answers count as
+// failures; after KIE_CIRCUIT_THRESHOLD in a row the circuit opens and calls fail fast with
+// 503 until KIE_CIRCUIT_OPEN_MS has passed. Then a single probe call goes through: success
+// closes the circuit, failure keeps it open for another period.
+const circuits = new Map(); // host -> { state, failures, openedAt, retryAt, probing, lastError }
+
+function circuitFor(url) {
+  let host = '';
+  try { host = new URL(url).host; } catch { /* relative or invalid URL */ }
+  if (!circuits.has(host)) {
+    circuits.set(host, { host, state: 'closed', failures: 0, openedAt: null, retryAt: null, probing: false, lastError: null });
+  }
+  return circuits.get(host);
+}
+
+function enterCircuit(circuit) {
+  if (circuit.state === 'closed') return;
+  if (circuit.state === 'open' && Date.now() >= circuit.retryAt) circuit.state = 'half-open';
+  if (circuit.state === 'half-open' && !circuit.probing) {
+    circuit.probing = true;
+    return;
+  }
+  const wait = Math.max(1, Math.ceil((circuit.retryAt - Date.now()) / 1000));
+  const err = apiError('upstream_unavailable', `KIE upstream ${circuit.host} is unavailable (${circuit.lastError}), retrying in ${wait}s`, { retryAfter: wait });
+  err.circuitOpen = true;
+  throw err;
+}
+
+function recordCircuitResult(circuit, ok, error) {
+  circuit.probing = false;
+  if (ok) {
+    circuit.state = 'closed';
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    circuit.retryAt = null;
+    return;
+  }
+  circuit.failures++;
+  circuit.lastError = error;
+  if (circuit.state === 'half-open' || circuit.failures >= KIE_CIRCUIT_THRESHOLD) {
+    if (circuit.state !== 'open') {
+      circuit.openedAt = Date.now();
+      console.warn(`[kenwei-aigc] circuit for ${circuit.host} opened after ${circuit.failures} failures: ${error}`);
+    }
+    circuit.state = 'open';
+    circuit.retryAt = Date.now() + KIE_CIRCUIT_OPEN_MS;
+  }
+}
+
+function circuitStatus() {
+  const out = {};
+  for (const c of circuits.values()) {
+    out[c.host] = {
+      state: c.state,
+      failures: c.failures,
+      openedAt: c.openedAt ? new Date(c.openedAt).toISOString() : null,
+      retryAt: c.retryAt ? new Date(c.retryAt).toISOString() : null,
+      lastError: c.lastError
+    };
   }
-  return { signal: controller.signal, cancel: () => clearTimeout(timeout) };
+  return out;
+}
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+// Failures where the request never reached KIE, so even a create call is safe to repeat.
+const UNSENT_ERROR_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+
+function retryDelayMs(attempt, retryAfter) {
+  const seconds = Number(retryAfter);
+  if (seconds > 0) return Math.min(seconds * 1000, KIE_RETRY_MAX_MS);
+  const ceiling = Math.min(KIE_RETRY_BASE_MS * 2 ** attempt, KIE_RETRY_MAX_MS);
+  return ceiling / 2 + Math.random() * ceiling / 2;
 }
 
+// `retry` (default: true for GET / HEAD, 'unsent' for everything else):
+//   true     - retry network errors, timeouts and RETRYABLE_STATUS answers (idempotent calls)
+//   'unsent' - retry only when KIE cannot have acted on the request: connection refused,
+//              DNS failure or 429. A createTask is never submitted twice this way.
+//   false    - a single attempt
 async function fetchJson(url, options = {}) {
-  const { signal: outerSignal } = options;
-  const { signal, cancel } = withTimeout(outerSignal, FETCH_TIMEOUT_MS);
+  const { signal: outerSignal, retry: retryOption, ...fetchOptions } = options;
+  const method = String(fetchOptions.method || 'GET').toUpperCase();
+  const retry = retryOption ?? (method === 'GET' || method === 'HEAD' ? true : 'unsent');
+  const circuit = circuitFor(url);
+  const requestId = requestContext.getStore()?.id;
+  if (requestId) fetchOptions.headers = { ...fetchOptions.headers, 'X-Request-Id': requestId };
+  const startedAt = Date.now();
+  let result = 'circuit_open'; // final HTTP status or error code, for the request log
+  let attempts = 0;
+
+  // The circuit sees one result per call, its final one: retries inside a call neither
+  // pass the breaker again nor count as extra failures.
   try {
-    const resp = await fetch(url, { ...options, signal });
-    const text = await resp.text();
-    let json;
-    try { json = JSON.parse(text); } catch { json = { raw: text }; }
-    return { ok: resp.ok, status: resp.status, json };
+    enterCircuit(circuit);
+    for (let attempt = 0; ; attempt++) {
+      attempts = attempt + 1;
+      const canRetry = attempt < KIE_RETRIES;
+      const { signal, cancel } = withTimeout(outerSignal, FETCH_TIMEOUT_MS);
+      let resp;
+      let text;
+      try {
+        resp = await fetch(url, { ...fetchOptions, signal });
+        text = await resp.text();
+      } catch (err) {
+        const code = err?.cause?.code || err?.code;
+        if (outerSignal?.aborted) {
+          result = 'aborted';
+          circuit.probing = false; // the caller gave up, which says nothing about KIE
+          throw err;
+        }
+        if (err?.name === 'TimeoutError' || /timeout/i.test(String(err?.message))) result = 'timeout';
+        else result = code || 'error';
+        if (!canRetry || (retry !== true && !(retry === 'unsent' && UNSENT_ERROR_CODES.has(code)))) {
+          recordCircuitResult(circuit, false, code || String(err?.message || err));
+          throw err;
+        }
+        await new Promise(r => setTimeout(r, retryDelayMs(attempt)));
+        continue;
+      } finally {
+        cancel();
+      }
+
+      result = resp.status;
+      if (canRetry && RETRYABLE_STATUS.has(resp.status) && (retry === true || (retry === 'unsent' && resp.status === 429))) {
+        await new Promise(r => setTimeout(r, retryDelayMs(attempt, resp.headers.get('retry-after'))));
+        continue;
+      }
+      recordCircuitResult(circuit, resp.status < 500, `HTTP ${resp.status}`);
+
+      let json;
+      try { json = JSON.parse(text); } catch { json = { raw: text }; }
+      return { ok: resp.ok, status: resp.status, json };
+    }
   } finally {
-    cancel();
+    noteUpstreamCall(url, method, result, Date.now() - startedAt, attempts);
   }
 }
 
@@ -127,29 +397,2497 @@ function detectImageMime(buffer) {
   return 'image/png';
 }
 
-function extFromMime(mime) {
-  if (!mime) return 'bin';
-  if (mime.includes('png')) return 'png';
-  if (mime.includes('jpeg') || mime.includes('jpg')) return 'jpg';
-  if (mime.includes('gif')) return 'gif';
-  if (mime.includes('webp')) return 'webp';
-  return 'bin';
+function extFromMime(mime) {
+  if (!mime) return 'bin';
+  if (mime.includes('png')) return 'png';
+  if (mime.includes('jpeg') || mime.includes('jpg')) return 'jpg';
+  if (mime.includes('gif')) return 'gif';
+  if (mime.includes('webp')) return 'webp';
+  return 'bin';
+}
+
+// ------------------------------
+// Errors
+// ------------------------------
+//
+// Every failed request answers with the same envelope, { code, message, detail }, merged
+// into the route's legacy shape so existing pages keep working (see sendError). `code` is
+// stable for clients to branch on, `message` is the Chinese text to show, `detail` is the
+// raw upstream / validation text for troubleshooting. Request validation adds `fields`,
+// one { field, message } per rejected field (see "Request schemas").
+
+const ERROR_CODES = {
+  invalid_param: { status: 400, message: '请求参数有误' },
+  unauthorized: { status: 401, message: 'APIKey 缺失或无效' },
+  insufficient_credits: { status: 402, message: 'KIE 账户积分不足，请充值后重试' },
+  not_found: { status: 404, message: '任务或资源不存在' },
+  content_policy: { status: 422, message: '内容未通过安全审核，请修改提示词或图片后重试' },
+  rate_limited: { status: 429, message: '请求过于频繁，请稍后重试' },
+  quota_exceeded: { status: 429, message: '已达到额度上限' },
+  generation_failed: { status: 500, message: '生成失败，请稍后重试' },
+  internal_error: { status: 500, message: '服务器内部错误' },
+  upstream_error: { status: 502, message: 'KIE 服务返回错误，请稍后重试' },
+  upstream_unavailable: { status: 503, message: 'KIE 服务暂时不可用，请稍后重试' },
+  upstream_timeout: { status: 504, message: 'KIE 服务响应超时，请稍后重试' }
+};
+
+// `showDetail`: the detail is meant for the user (our own validation messages) and is
+// appended to the Chinese message.
+function apiError(code, detail, { status, retryAfter, showDetail = false } = {}) {
+  const spec = ERROR_CODES[code] || ERROR_CODES.internal_error;
+  const err = new Error(detail || spec.message);
+  err.code = ERROR_CODES[code] ? code : 'internal_error';
+  err.status = status || spec.status;
+  err.detail = detail || null;
+  err.showDetail = showDetail;
+  if (retryAfter) err.retryAfter = retryAfter;
+  return err;
+}
+
+// KIE answers with HTTP or body codes (the body `code` wins when HTTP says 200).
+const KIE_ERROR_CODES = {
+  400: 'invalid_param',
+  401: 'unauthorized',
+  402: 'insufficient_credits',
+  403: 'unauthorized',
+  404: 'not_found',
+  408: 'upstream_timeout',
+  413: 'invalid_param',
+  422: 'invalid_param',
+  429: 'rate_limited',
+  455: 'upstream_unavailable',
+  501: 'generation_failed',
+  502: 'upstream_unavailable',
+  503: 'upstream_unavailable',
+  504: 'upstream_timeout',
+  505: 'upstream_unavailable'
+};
+const CONTENT_POLICY_RE = /content[ _-]?polic|safety|moderat|sensitive|nsfw|prohibited|violat|inappropriate|违规|敏感|审核/i;
+const INSUFFICIENT_CREDITS_RE = /insufficient|not enough credit|credits? (is |are )?(insufficient|not enough)|余额不足|积分不足/i;
+
+function classifyKieError(status, json) {
+  const data = json?.data ?? {};
+  const text = [json?.msg, json?.message, data?.failMsg, data?.errorMessage, json?.raw].filter(v => typeof v === 'string').join(' ');
+  if (CONTENT_POLICY_RE.test(text)) return 'content_policy';
+  if (INSUFFICIENT_CREDITS_RE.test(text)) return 'insufficient_credits';
+  const code = Number(json?.code) > 200 ? Number(json.code) : Number(status);
+  return KIE_ERROR_CODES[code] || 'upstream_error';
+}
+
+// Error for a failed KIE call; the message keeps the raw answer for logs and `detail`.
+function kieError(label, status, json) {
+  return apiError(classifyKieError(status, json), `${label} failed (${status}): ${JSON.stringify(json)}`);
+}
+
+// Code for a task that KIE reported as failed, from its failure text.
+function taskFailureCode(error) {
+  const text = String(error || '');
+  if (CONTENT_POLICY_RE.test(text)) return 'content_policy';
+  if (INSUFFICIENT_CREDITS_RE.test(text)) return 'insufficient_credits';
+  if (/time(d)?[ -]?out/i.test(text)) return 'upstream_timeout';
+  return 'generation_failed';
+}
+
+// Anything thrown inside a route -> an apiError. Fetch failures that never got an answer
+// become upstream_timeout / upstream_unavailable; the rest is internal_error.
+function toApiError(err) {
+  if (err && ERROR_CODES[err.code]) return err;
+  const message = String(err?.message || err || '');
+  if (err?.name === 'AbortError' || err?.name === 'TimeoutError' || /timeout/i.test(message)) {
+    return apiError('upstream_timeout', message);
+  }
+  if (err?.cause?.code || message === 'fetch failed') {
+    return apiError('upstream_unavailable', `${message}${err?.cause?.code ? ` (${err.cause.code})` : ''}`);
+  }
+  return apiError('internal_error', message, { status: err?.status });
+}
+
+function errorEnvelope(err) {
+  const e = toApiError(err);
+  const base = ERROR_CODES[e.code].message;
+  return {
+    code: e.code,
+    message: e.showDetail && e.detail ? `${base}：${e.detail}` : base,
+    ...(e.detail ? { detail: e.detail } : {}),
+    ...(e.fields ? { fields: e.fields } : {})
+  };
+}
+
+// Respond with the envelope in the route's legacy shape:
+//   'error'   -> { error: message, code, message, detail[, fields] }   (/v1/videos, Sora characters, Gemini, tasks)
+//   'message' -> { message, code, detail[, fields] }                   (Kling)
+//   'success' -> { success: false, message, code, detail }             (My Usage endpoints)
+//   'text'    -> the message as plain text                             (/content)
+// The code is also sent as X-Error-Code, and Retry-After when the error has one.
+// `extra` fields (e.g. a record id) are added to JSON bodies.
+function sendError(res, err, shape = 'error', extra = {}) {
+  const e = toApiError(err);
+  annotateRequest({ error: e });
+  const body = { ...errorEnvelope(e), ...extra };
+  res.status(e.status);
+  res.setHeader('X-Error-Code', e.code);
+  if (e.retryAfter) res.setHeader('Retry-After', String(e.retryAfter));
+  if (shape === 'text') return res.type('text/plain').send(body.message);
+  if (shape === 'error') return res.json({ error: body.message, ...body });
+  if (shape === 'success') return res.json({ success: false, ...body });
+  return res.json(body);
+}
+
+// ------------------------------
+// Request logs
+// ------------------------------
+//
+// Every request gets an id: the caller's X-Request-Id when it looks sane, otherwise a new
+// UUID. It is echoed back as X-Request-Id and sent to KIE on every call made while the
+// request is handled (fetchJson reads it from requestContext), so an operator's report can
+// be matched to our log and to KIE's.
+//
+// When a response ends, one `access` line records the route, key hash, model, task id, the
+// KIE endpoints called (status, latency, attempts), latency and outcome. Finished tasks add a
+// `task` line, so `grep <taskId>` shows a job from its create call to its final status.
+// Static files are not logged. Lines go to LOG_DIR/requests-YYYY-MM-DD[.N].jsonl or stdout.
+
+const requestContext = new AsyncLocalStorage();
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+const MAX_LOGGED_UPSTREAM_CALLS = 50;
+let logFile = { path: '', day: '', checkedAt: 0 };
+let logPrunedAt = 0;
+
+function writeLogLine(entry) {
+  if (LOG_TARGET === 'off') return;
+  const line = JSON.stringify({ ts: new Date().toISOString(), ...entry }) + '\n';
+  if (LOG_TARGET === 'stdout') {
+    process.stdout.write(line);
+    return;
+  }
+  try {
+    // The size check is cached for a minute: a file may overshoot LOG_MAX_BYTES a little.
+    const day = new Date().toISOString().slice(0, 10);
+    if (logFile.day !== day || Date.now() - logFile.checkedAt > 60_000) {
+      ensureDirSync(LOG_DIR);
+      logFile = { path: currentDailyFile(LOG_DIR, 'requests', LOG_MAX_BYTES), day, checkedAt: Date.now() };
+    }
+    fs.appendFileSync(logFile.path, line, 'utf8');
+    if (Date.now() - logPrunedAt > 3600_000) {
+      logPrunedAt = Date.now();
+      pruneDailyFiles(LOG_DIR, 'requests', LOG_RETENTION_DAYS);
+    }
+  } catch (err) {
+    console.warn('[kenwei-aigc] request log write failed:', err.message || err);
+  }
+}
+
+function logKeyHash(keyHash) {
+  return LOG_KEYS === 'none' ? undefined : keyHash || undefined;
+}
+
+function redactPrompt(prompt) {
+  const text = String(prompt ?? '');
+  if (!text) return undefined;
+  if (LOG_PROMPTS === 'full') return text;
+  if (LOG_PROMPTS === 'truncate') return text.length > LOG_PROMPT_CHARS ? `${text.slice(0, LOG_PROMPT_CHARS)}…` : text;
+  return `[${text.length} chars, ${sha256Short(text).slice(0, 8)}]`;
+}
+
+// Error details quote upstream answers and URLs; drop anything that looks like a credential.
+function redactSecrets(text, apiKey) {
+  let out = String(text ?? '');
+  if (apiKey) out = out.split(apiKey).join('***');
+  return out
+    .replace(/(Bearer\s+)[^\s"',]+/gi, '$1***')
+    .replace(/([?&](?:key|apikey|api_key|token|X-Amz-Signature|X-Amz-Credential)=)[^&\s"']+/gi, '$1***');
+}
+
+// Details only routes know (model, task id, prompt, the error sent) for the current request.
+function annotateRequest(fields) {
+  const ctx = requestContext.getStore();
+  if (!ctx) return;
+  for (const [k, v] of Object.entries(fields)) {
+    if (v !== undefined && v !== null && v !== '') ctx[k] = v;
+  }
+}
+
+// multer finishes from stream callbacks outside the request's context; resume the route in it.
+function keepRequestContext(middleware) {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
+
+// One finished KIE call (after retries): counted in the metrics and added to the request log.
+// `result` is the HTTP status, or timeout / aborted / circuit_open / a network error code.
+// Repeated calls to the same endpoint with the same result (status polling) are merged.
+function noteUpstreamCall(url, method, result, latencyMs, attempts) {
+  const ctx = requestContext.getStore();
+  let endpoint = url;
+  try {
+    const u = new URL(url);
+    endpoint = u.host + u.pathname;
+  } catch { /* keep as is */ }
+  observeUpstreamCall(endpoint, ctx?.model, result, latencyMs);
+  if (!ctx) return;
+  const last = ctx.upstream[ctx.upstream.length - 1];
+  if (last && last.endpoint === endpoint && last.method === method && last.status === result) {
+    last.calls++;
+    last.attempts += attempts;
+    last.latency_ms += latencyMs;
+    return;
+  }
+  if (ctx.upstream.length >= MAX_LOGGED_UPSTREAM_CALLS) return;
+  ctx.upstream.push({ endpoint, method, status: result, calls: 1, attempts, latency_ms: latencyMs });
+}
+
+// RegExp routes have no path string of their own; labeledRoute() gives them the documented
+// form (e.g. /v1beta/models/{model}:generateContent) for access logs and metrics.
+const ROUTE_LABELS = new Map();
+
+function labeledRoute(pattern, label) {
+  ROUTE_LABELS.set(pattern, label);
+  return pattern;
+}
+
+// The Express route pattern that answered (the first one for routes with aliases), or null
+// for static files and unmatched paths.
+function requestRoute(req) {
+  const routePath = Array.isArray(req.route?.path) ? req.route.path[0] : req.route?.path;
+  const pattern = ROUTE_LABELS.get(routePath) || routePath;
+  if (typeof pattern !== 'string' || pattern === '*') return null;
+  return req.baseUrl + pattern;
+}
+
+function logRequest(req, res, ctx, latencyMs) {
+  const route = requestRoute(req);
+  if (!route && res.statusCode < 400) return; // static files, SPA fallback
+
+  const finished = res.writableFinished;
+  const err = ctx.error;
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  writeLogLine({
+    type: 'access',
+    request_id: ctx.id,
+    method: req.method,
+    route: route || req.path,
+    status: res.statusCode,
+    outcome: !finished ? 'aborted' : res.statusCode >= 400 ? 'error' : 'ok',
+    code: err?.code,
+    error: err?.detail ? redactSecrets(err.detail, ctx.apiKey) : undefined,
+    latency_ms: latencyMs,
+    key_hash: logKeyHash(ctx.apiKey && sha256Short(ctx.apiKey)),
+    model: ctx.model || (typeof body.model === 'string' ? body.model : undefined),
+    task_id: ctx.taskId || req.params?.taskId,
+    prompt: redactPrompt(ctx.prompt ?? body.prompt),
+    upstream: ctx.upstream.length ? ctx.upstream : undefined
+  });
+}
+
+function logTaskOutcome(keyHash, taskId, { status, error, actualCredits, elapsedMs }) {
+  writeLogLine({
+    type: 'task',
+    request_id: requestContext.getStore()?.id,
+    task_id: taskId,
+    key_hash: logKeyHash(keyHash),
+    status,
+    code: status === 'failed' ? taskFailureCode(error) : undefined,
+    error: error ? redactSecrets(error) : undefined,
+    actual_credits: actualCredits,
+    elapsed_ms: elapsedMs
+  });
+}
+
+// ------------------------------
+// Metrics (Prometheus)
+// ------------------------------
+//
+// GET /metrics in the Prometheus text format, for Grafana dashboards and alerts (Veo failure
+// rate, upstream timeouts, queue depth). Values live in this process: under PM2 cluster mode
+// each worker counts its own share. Labels stay low-cardinality: routes are Express patterns,
+// KIE endpoints are host + path without the query, models are the ids sent to KIE.
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const TASK_DURATION_BUCKETS = [15, 30, 60, 120, 300, 600, 1200, 1800, 3600, 7200];
+
+const metrics = new Map(); // name -> { type, help, buckets, series: Map(labelKey -> sample) }
+
+function defineMetric(name, type, help, buckets) {
+  metrics.set(name, { type, help, buckets, series: new Map() });
+}
+
+defineMetric('kenwei_http_requests_total', 'counter', 'HTTP requests by route, method and status.');
+defineMetric('kenwei_http_request_duration_seconds', 'histogram', 'HTTP request latency by route and method.', LATENCY_BUCKETS);
+defineMetric('kenwei_upstream_requests_total', 'counter', 'KIE calls by endpoint, model and outcome (HTTP status, timeout, network, circuit_open, aborted, error).');
+defineMetric('kenwei_upstream_request_duration_seconds', 'histogram', 'KIE call latency by endpoint, retries included.', LATENCY_BUCKETS);
+defineMetric('kenwei_tasks_created_total', 'counter', 'Generation tasks created, by model.');
+defineMetric('kenwei_tasks_finished_total', 'counter', 'Generation tasks finished, by model and status (completed / failed).');
+defineMetric('kenwei_task_duration_seconds', 'histogram', 'Time from create to final status, by model and status.', TASK_DURATION_BUCKETS);
+defineMetric('kenwei_upload_bytes_total', 'counter', 'Bytes uploaded, by target (kie: reference files sent to KIE, storage: images saved by pages, mirror: copied results).');
+
+function metricSample(name, labels) {
+  const metric = metrics.get(name);
+  const key = JSON.stringify(labels);
+  let sample = metric.series.get(key);
+  if (!sample) {
+    sample = metric.type === 'histogram'
+      ? { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 };
+    metric.series.set(key, sample);
+  }
+  return sample;
+}
+
+function incMetric(name, labels, by = 1) {
+  metricSample(name, labels).value += by;
+}
+
+function observeMetric(name, labels, value) {
+  const metric = metrics.get(name);
+  const sample = metricSample(name, labels);
+  metric.buckets.forEach((le, i) => { if (value <= le) sample.counts[i]++; });
+  sample.sum += value;
+  sample.count++;
+}
+
+function observeRequest(req, res, latencyMs) {
+  const route = requestRoute(req);
+  if (!route && res.statusCode < 400) return; // static files, SPA fallback
+  const labels = { route: route || 'unmatched', method: req.method };
+  incMetric('kenwei_http_requests_total', { ...labels, status: String(res.statusCode) });
+  observeMetric('kenwei_http_request_duration_seconds', labels, latencyMs / 1000);
+}
+
+function observeUpstreamCall(endpoint, model, result, latencyMs) {
+  const outcome = typeof result === 'number' ? String(result) : /^E[A-Z_]+$/.test(result) ? 'network' : result;
+  incMetric('kenwei_upstream_requests_total', { endpoint, model: model || '', outcome });
+  observeMetric('kenwei_upstream_request_duration_seconds', { endpoint }, latencyMs / 1000);
+}
+
+function observeTaskFinished(task) {
+  const labels = { model: task.model || '', status: task.status };
+  incMetric('kenwei_tasks_finished_total', labels);
+  if (task.elapsedMs != null) observeMetric('kenwei_task_duration_seconds', labels, task.elapsedMs / 1000);
+}
+
+function formatMetricLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function renderMetrics() {
+  const lines = [];
+  const gauge = (name, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+    for (const [labels, value] of samples) lines.push(`${name}${formatMetricLabels(labels)} ${value}`);
+  };
+
+  for (const [name, metric] of metrics) {
+    lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+    for (const sample of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${name}${formatMetricLabels(sample.labels)} ${sample.value}`);
+        continue;
+      }
+      metric.buckets.forEach((le, i) => lines.push(`${name}_bucket${formatMetricLabels({ ...sample.labels, le })} ${sample.counts[i]}`));
+      lines.push(`${name}_bucket${formatMetricLabels({ ...sample.labels, le: '+Inf' })} ${sample.count}`);
+      lines.push(`${name}_sum${formatMetricLabels(sample.labels)} ${sample.sum}`);
+      lines.push(`${name}_count${formatMetricLabels(sample.labels)} ${sample.count}`);
+    }
+  }
+
+  const queues = Object.entries(upstreamQueueStatus());
+  gauge('kenwei_upstream_queue_depth', 'KIE calls waiting for a slot, by class (upload / create / poll).',
+    queues.map(([cls, q]) => [{ class: cls }, q.queued]));
+  gauge('kenwei_upstream_in_flight', 'KIE calls in flight, by class.',
+    queues.map(([cls, q]) => [{ class: cls }, q.active]));
+  gauge('kenwei_upstream_circuit_open', '1 while the circuit breaker for a KIE host is open or half-open.',
+    [...circuits.values()].map(c => [{ host: c.host }, c.state === 'closed' ? 0 : 1]));
+  gauge('kenwei_tasks_in_progress', 'Tasks this process polls in the background.', [[{}, taskWorker.schedule.size]]);
+  gauge('kenwei_process_resident_memory_bytes', 'Resident memory of this process.', [[{}, process.memoryUsage().rss]]);
+  gauge('kenwei_process_uptime_seconds', 'Seconds since this process started.', [[{}, Math.round(process.uptime())]]);
+  return lines.join('\n') + '\n';
+}
+
+function metricsAuthorized(req) {
+  if (!METRICS_TOKEN) return false;
+  const given = getBearerToken(req) || String(req.query.token || '');
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(METRICS_TOKEN).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// ------------------------------
+// Pricing (KIE credits)
+// ------------------------------
+//
+// Estimated cost per job, keyed by the model ids the server sends to KIE (`*` matches
+// anything; the most specific key wins). An entry can combine:
+//   perRequest, perSecond (x seconds, or defaultSeconds), perImage (x images),
+//   per1kTokens (x tokens / 1000), resolution: { '1080p': multiplier }, sound: multiplier
+// The defaults follow KIE's public price list at the time of writing; put overrides in
+// PRICE_TABLE_FILE (same shape, merged per key) to match your own bill.
+
+const DEFAULT_MODEL_PRICES = {
+  'sora-2/*': { perSecond: 3 },
+  'sora-2-pro/*': { perSecond: 15, resolution: { high: 2.2, '1080p': 2.2 } },
+  'sora-2-characters': { perRequest: 0 },
+  'veo3': { perRequest: 250, resolution: { '1080p': 1 } },
+  'veo3_fast': { perRequest: 60, resolution: { '1080p': 1 } },
+  'kling-2.6/*': { perSecond: 11, sound: 2 },
+  'kling/v2-5-turbo-*': { perSecond: 8.4 },
+  'kling/v2-1-master-*': { perSecond: 32 },
+  'kling/v2-1-pro': { perSecond: 10 },
+  'kling/v2-1-standard': { perSecond: 5 },
+  'kie-image:*': { perImage: 6 },
+  'local-prompt-polish:*': { perRequest: 0 },
+  'gpt-*': { per1kTokens: 2 },
+  'claude-*': { per1kTokens: 3 },
+  'gemini-*': { per1kTokens: 1 },
+  'deepseek-*': { per1kTokens: 0.5 },
+  'grok-*': { per1kTokens: 1.5 },
+  'kimi-*': { per1kTokens: 0.5 }
+};
+
+let priceTableCache = null;
+let priceTableMtime = -1;
+
+function loadPriceTable() {
+  let mtime = 0;
+  try { mtime = fs.statSync(PRICE_TABLE_FILE).mtimeMs; } catch { /* defaults only */ }
+  if (priceTableCache && mtime === priceTableMtime) return priceTableCache;
+  const overrides = mtime ? readJson(PRICE_TABLE_FILE, {}) : {};
+  priceTableCache = { ...DEFAULT_MODEL_PRICES, ...overrides };
+  priceTableMtime = mtime;
+  return priceTableCache;
+}
+
+// Entry for a model in a table keyed by model id or `*` pattern; the exact id, else the
+// longest matching pattern. Shared by the price table and CHAT_FALLBACKS.
+function matchModelTable(table, model) {
+  const name = String(model || '');
+  if (table[name]) return table[name];
+  let best = null;
+  for (const pattern of Object.keys(table)) {
+    if (!pattern.includes('*')) continue;
+    const re = new RegExp(`^${pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    if (re.test(name) && (!best || pattern.length > best.length)) best = pattern;
+  }
+  return best ? table[best] : null;
+}
+
+function findModelPrice(model) {
+  return matchModelTable(loadPriceTable(), model);
+}
+
+// Returns estimated credits, or null when the model has no price entry.
+function estimateCredits(model, { seconds, resolution, sound, images, tokens } = {}) {
+  const price = findModelPrice(model);
+  if (!price) return null;
+  let credits = price.perRequest || 0;
+  if (price.perSecond) credits += price.perSecond * (Number(seconds) || price.defaultSeconds || 0);
+  if (price.perImage) credits += price.perImage * (Number(images) || 1);
+  if (price.per1kTokens) credits += price.per1kTokens * (Number(tokens) || 0) / 1000;
+  if (resolution && price.resolution?.[resolution]) credits *= price.resolution[resolution];
+  if (sound && price.sound) credits *= price.sound;
+  return Math.round(credits * 100) / 100;
+}
+
+// Bundle of billing fields shared by task records and usage log entries.
+function billingFor(model, usage = {}) {
+  return {
+    seconds: usage.seconds ? Number(usage.seconds) : null,
+    resolution: usage.resolution || null,
+    estimatedCredits: estimateCredits(model, usage)
+  };
+}
+
+// Best-effort: some KIE record payloads report the credits actually charged.
+function extractKieCredits(json) {
+  const data = json?.data ?? {};
+  const v = data.creditsConsumed ?? data.consumeCredits ?? data.costCredits ?? data.credits;
+  return typeof v === 'number' ? v : null;
+}
+
+// ------------------------------
+// Usage logs (per APIKey hash)
+// ------------------------------
+//
+// Append-only JSON lines in DATA_DIR/usage, one file per UTC day, split into
+// usage-YYYY-MM-DD.N.jsonl once a file passes USAGE_LOG_MAX_BYTES. A single short
+// appendFileSync is atomic on a local disk, so every PM2 worker sharing DATA_DIR writes
+// to and reads from the same files. When a task finishes, an `{ type: 'outcome' }` line is
+// appended and merged into its create entry on read. Files older than
+// USAGE_LOG_RETENTION_DAYS are deleted. Readers pass the start of the window they need
+// (budgets: this month), so older files are not opened at all.
+
+const usageDir = path.join(DATA_DIR, 'usage');
+const usageFileCache = new Map(); // file -> { offset, lines }, least recently read first
+let usageCacheBytes = 0;
+let usagePrunedAt = 0;
+
+// Daily JSONL files named <prefix>-YYYY-MM-DD[.N].jsonl (usage logs, request logs), oldest first.
+function dailyFileParts(dir, prefix) {
+  let names = [];
+  try { names = fs.readdirSync(dir); } catch { return []; }
+  const re = new RegExp(`^${prefix}-(\\d{4}-\\d{2}-\\d{2})(?:\\.(\\d+))?\\.jsonl$`);
+  return names
+    .map(name => {
+      const m = re.exec(name);
+      return m ? { name, day: m[1], part: Number(m[2] || 0) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.day.localeCompare(b.day) || a.part - b.part);
+}
+
+function currentDailyFile(dir, prefix, maxBytes) {
+  const day = new Date().toISOString().slice(0, 10);
+  const today = dailyFileParts(dir, prefix).filter(f => f.day === day);
+  let part = today.length ? today[today.length - 1].part : 0;
+  const nameFor = n => path.join(dir, n ? `${prefix}-${day}.${n}.jsonl` : `${prefix}-${day}.jsonl`);
+  try {
+    if (fs.statSync(nameFor(part)).size >= maxBytes) part++;
+  } catch { /* new file */ }
+  return nameFor(part);
+}
+
+// Deletes files older than `retentionDays` (0 keeps everything); returns the deleted paths.
+function pruneDailyFiles(dir, prefix, retentionDays) {
+  if (!retentionDays) return [];
+  const cutoff = new Date(Date.now() - retentionDays * 86400_000).toISOString().slice(0, 10);
+  const deleted = [];
+  for (const f of dailyFileParts(dir, prefix)) {
+    if (f.day >= cutoff) continue;
+    fs.rmSync(path.join(dir, f.name), { force: true });
+    deleted.push(path.join(dir, f.name));
+  }
+  return deleted;
+}
+
+function usageFileParts() {
+  return dailyFileParts(usageDir, 'usage');
+}
+
+function appendUsageLine(entry) {
+  try {
+    ensureDirSync(usageDir);
+    fs.appendFileSync(currentDailyFile(usageDir, 'usage', USAGE_LOG_MAX_BYTES), JSON.stringify(entry) + '\n', 'utf8');
+    applyBudgetLine(entry);
+    if (Date.now() - usagePrunedAt > 3600_000) pruneUsageLogs();
+  } catch (err) {
+    console.warn('[kenwei-aigc] usage log write failed:', err.message || err);
+  }
+}
+
+function pruneUsageLogs() {
+  usagePrunedAt = Date.now();
+  for (const file of pruneDailyFiles(usageDir, 'usage', USAGE_LOG_RETENTION_DAYS)) dropUsageFile(file);
+}
+
+function dropUsageFile(file) {
+  const cached = usageFileCache.get(file);
+  if (!cached) return;
+  usageCacheBytes -= cached.offset;
+  usageFileCache.delete(file);
+}
+
+// Parsed lines of `file` between `offset` and `size`, and the offset after the last one.
+// A line another process is still writing (no trailing newline yet) is left for next time.
+function readJsonLinesFrom(file, offset, size) {
+  const lines = [];
+  if (size <= offset) return { lines, offset };
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buf = Buffer.alloc(size - offset);
+    fs.readSync(fd, buf, 0, buf.length, offset);
+    const end = buf.lastIndexOf(0x0a);
+    if (end >= 0) {
+      for (const line of buf.subarray(0, end).toString('utf8').split('\n')) {
+        try { lines.push(JSON.parse(line)); } catch { /* skip damaged line */ }
+      }
+      offset += end + 1;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return { lines, offset };
+}
+
+// Files only grow, so each one is parsed incrementally from where the last read stopped.
+function readUsageFile(file) {
+  let cached = usageFileCache.get(file) || { offset: 0, lines: [] };
+  dropUsageFile(file);
+  let size = 0;
+  try { size = fs.statSync(file).size; } catch { return []; }
+  if (size < cached.offset) cached = { offset: 0, lines: [] };
+  const read = readJsonLinesFrom(file, cached.offset, size);
+  for (const line of read.lines) cached.lines.push(line);
+  cached.offset = read.offset;
+  // Re-insert as most recently read, then trim from the least recently read end.
+  usageFileCache.set(file, cached);
+  usageCacheBytes += cached.offset;
+  for (const oldest of usageFileCache.keys()) {
+    if (usageCacheBytes <= USAGE_CACHE_MAX_BYTES) break;
+    dropUsageFile(oldest);
+  }
+  return cached.lines;
+}
+
+// `billing` (from billingFor) adds seconds / resolution / estimated_credits. Entries without a
+// task finish immediately, so their actual cost is the estimate (0 when they failed).
+function pushUsageLog(apiKey, { billing, ...log }) {
+  if (!apiKey) return;
+  const status = log.status || (log.task_id ? 'processing' : 'completed');
+  const estimated = billing?.estimatedCredits ?? null;
+  annotateRequest({ model: log.model_name, taskId: log.task_id, prompt: log.prompt });
+  appendUsageLine({
+    id: crypto.randomBytes(8).toString('hex'),
+    key_hash: sha256Short(apiKey),
+    ...log,
+    prompt: String(log.prompt || '').slice(0, 2000),
+    status,
+    seconds: billing?.seconds ?? null,
+    resolution: billing?.resolution ?? null,
+    estimated_credits: estimated,
+    actual_credits: log.task_id ? null : (status === 'failed' ? 0 : estimated)
+  });
+}
+
+// Final outcome of a logged task (task registry transitions, Sora characters).
+function recordUsageOutcome(keyHash, taskId, { status, error, actualCredits = null, elapsedMs = null }) {
+  if (!keyHash || !taskId) return;
+  logTaskOutcome(keyHash, taskId, { status, error, actualCredits, elapsedMs });
+  appendUsageLine({
+    type: 'outcome',
+    key_hash: keyHash,
+    task_id: taskId,
+    status,
+    error: error || null,
+    actual_credits: actualCredits,
+    elapsed_ms: elapsedMs,
+    completed_at: nowUnix()
+  });
+}
+
+// Newest first, with outcomes merged into their create entries. With `since` (ms), files
+// from before that UTC day are skipped; entries are only ever appended after they are
+// created, so none from the window can be in them. Callers still filter on created_at.
+function loadUsageLogs(keyHash, { since = null } = {}) {
+  const entries = [];
+  const outcomes = new Map();
+  const sinceDate = new Date(since ?? NaN);
+  const sinceDay = Number.isNaN(sinceDate.getTime()) ? null : sinceDate.toISOString().slice(0, 10);
+  for (const f of usageFileParts()) {
+    if (sinceDay && f.day < sinceDay) continue;
+    for (const line of readUsageFile(path.join(usageDir, f.name))) {
+      if (line.key_hash !== keyHash) continue;
+      if (line.type === 'outcome') outcomes.set(line.task_id, line);
+      else entries.push(line);
+    }
+  }
+  return entries.reverse().map(({ key_hash, ...entry }) => {
+    const outcome = entry.task_id && outcomes.get(entry.task_id);
+    if (!outcome) return entry;
+    return {
+      ...entry,
+      status: outcome.status,
+      error: outcome.error,
+      actual_credits: outcome.actual_credits ?? null,
+      elapsed_ms: outcome.elapsed_ms ?? null,
+      completed_at: outcome.completed_at
+    };
+  });
+}
+
+// Credit totals for reconciling against the KIE bill: overall, per model and per UTC day.
+// `actual` only counts finished entries; `pending` is how many are still running.
+function summarizeUsage(entries) {
+  const bucket = () => ({ count: 0, estimated_credits: 0, actual_credits: 0, pending: 0 });
+  const add = (b, e) => {
+    b.count++;
+    b.estimated_credits += e.estimated_credits || 0;
+    if (e.actual_credits === null || e.actual_credits === undefined) b.pending++;
+    else b.actual_credits += e.actual_credits;
+  };
+  const totals = { ...bucket(), by_model: {}, by_day: {} };
+  for (const e of entries) {
+    const model = e.model_name || 'unknown';
+    const day = new Date((e.created_at || 0) * 1000).toISOString().slice(0, 10);
+    add(totals, e);
+    add(totals.by_model[model] ||= bucket(), e);
+    add(totals.by_day[day] ||= bucket(), e);
+  }
+  const round = b => {
+    b.estimated_credits = Math.round(b.estimated_credits * 100) / 100;
+    b.actual_credits = Math.round(b.actual_credits * 100) / 100;
+  };
+  round(totals);
+  Object.values(totals.by_model).forEach(round);
+  Object.values(totals.by_day).forEach(round);
+  return totals;
+}
+
+// ------------------------------
+// Budgets (per APIKey hash)
+// ------------------------------
+//
+// One KIE key is often shared by many operators, so each APIKey hash can be capped per
+// UTC day and month: dailyCredits / monthlyCredits (estimated credits, replaced by the
+// actual ones once a task settles) and dailyJobs / monthlyJobs (generation tasks created).
+// Limits start from the BUDGET_* env defaults and are overridden by BUDGET_FILE:
+//   { "default": { "dailyCredits": 2000 }, "keys": { "<key hash>": { "monthlyJobs": 300 } } }
+// null or a missing field means unlimited. Spending comes from the usage logs (failed
+// tasks do not count); jobs admitted but not logged yet are held in memory, per process.
+//
+// Admitting a job must not re-read a month of usage, so spending is kept as running totals
+// for the current UTC month. This process applies its own usage lines as it appends them;
+// lines from other workers sharing DATA_DIR are picked up by reading only the bytes added to
+// the usage files since the last check. Lines are applied by task id (or entry id), so a
+// line seen both ways is counted once.
+
+const BUDGET_FIELDS = ['dailyCredits', 'monthlyCredits', 'dailyJobs', 'monthlyJobs'];
+const budgetHolds = new Map(); // keyHash -> Set of { credits }
+const budgetLedger = {
+  month: null,        // UTC month start the totals cover; null until first needed
+  day: null,          // UTC day start of the daily totals
+  readDay: '',        // newest usage file day read; earlier days are no longer written to
+  files: new Map(),   // usage file -> bytes applied
+  entries: new Map(), // task id or entry id -> { keyHash, at, estimated, actual, status, job, settled }
+  used: new Map()     // keyHash -> { day: { credits, jobs }, month: { credits, jobs } }
+};
+let budgetFileCache = null;
+let budgetFileMtime = -1;
+
+function loadBudgetFile() {
+  let mtime = 0;
+  try { mtime = fs.statSync(BUDGET_FILE).mtimeMs; } catch { /* env defaults only */ }
+  if (budgetFileCache && mtime === budgetFileMtime) return budgetFileCache;
+  budgetFileCache = mtime ? readJson(BUDGET_FILE, {}) : {};
+  budgetFileMtime = mtime;
+  return budgetFileCache;
+}
+
+function budgetLimitsFor(keyHash) {
+  const file = loadBudgetFile();
+  const layers = [
+    {
+      dailyCredits: BUDGET_DAILY_CREDITS,
+      monthlyCredits: BUDGET_MONTHLY_CREDITS,
+      dailyJobs: BUDGET_DAILY_JOBS,
+      monthlyJobs: BUDGET_MONTHLY_JOBS
+    },
+    file.default || {},
+    file.keys?.[keyHash] || {}
+  ];
+  const limits = {};
+  for (const field of BUDGET_FIELDS) {
+    let value = null;
+    for (const layer of layers) {
+      if (field in layer) value = layer[field];
+    }
+    const n = value === null || value === '' ? NaN : Number(value);
+    limits[field] = Number.isFinite(n) ? n : null;
+  }
+  return limits;
+}
+
+function budgetPeriods(now = new Date()) {
+  const y = now.getUTCFullYear();
+  const m = now.getUTCMonth();
+  const dayStart = Date.UTC(y, m, now.getUTCDate());
+  return {
+    day: { start: dayStart, resetsAt: dayStart + 86400_000 },
+    month: { start: Date.UTC(y, m, 1), resetsAt: Date.UTC(y, m + 1, 1) }
+  };
+}
+
+function budgetEntryCost(entry) {
+  if (entry.at === null || entry.status === 'failed') return { credits: 0, jobs: 0 };
+  return { credits: entry.actual ?? entry.estimated ?? 0, jobs: entry.job ? 1 : 0 };
+}
+
+function budgetTotalsFor(keyHash) {
+  if (!budgetLedger.used.has(keyHash)) {
+    budgetLedger.used.set(keyHash, { day: { credits: 0, jobs: 0 }, month: { credits: 0, jobs: 0 } });
+  }
+  return budgetLedger.used.get(keyHash);
+}
+
+// Folds one usage line (a create entry or an outcome) into the running totals.
+function applyBudgetLine(line) {
+  const id = line.task_id || line.id;
+  if (budgetLedger.month === null || !id || !line.key_hash) return;
+  let entry = budgetLedger.entries.get(id);
+  if (!entry) {
+    entry = { keyHash: line.key_hash, at: null, estimated: null, actual: null, status: null, job: false, settled: false };
+    budgetLedger.entries.set(id, entry);
+  }
+  const before = budgetEntryCost(entry);
+  if (line.type === 'outcome') {
+    entry.status = line.status;
+    entry.actual = line.actual_credits ?? null;
+    entry.settled = true;
+  } else {
+    if (entry.at !== null) return;
+    entry.at = (line.created_at || 0) * 1000;
+    entry.estimated = line.estimated_credits ?? null;
+    entry.job = Boolean(line.task_id);
+    // An outcome written by another worker can be read before its create entry.
+    if (!entry.settled) {
+      entry.status = line.status;
+      entry.actual = line.actual_credits ?? null;
+    }
+  }
+  const after = budgetEntryCost(entry);
+  if (entry.at === null || entry.at < budgetLedger.month) return;
+  const totals = budgetTotalsFor(entry.keyHash);
+  for (const name of entry.at >= budgetLedger.day ? ['day', 'month'] : ['month']) {
+    totals[name].credits += after.credits - before.credits;
+    totals[name].jobs += after.jobs - before.jobs;
+  }
+}
+
+// Brings the running totals up to date: starts over at a new month, restarts the daily
+// totals at a new day, then applies whatever was appended to the usage files since last time.
+function syncBudgetLedger(periods) {
+  if (budgetLedger.month !== periods.month.start) {
+    budgetLedger.month = periods.month.start;
+    budgetLedger.day = periods.day.start;
+    budgetLedger.readDay = new Date(periods.month.start).toISOString().slice(0, 10);
+    budgetLedger.files.clear();
+    budgetLedger.entries.clear();
+    budgetLedger.used.clear();
+  } else if (budgetLedger.day !== periods.day.start) {
+    budgetLedger.day = periods.day.start;
+    for (const totals of budgetLedger.used.values()) totals.day = { credits: 0, jobs: 0 };
+    for (const entry of budgetLedger.entries.values()) {
+      if (entry.at === null || entry.at < budgetLedger.day) continue;
+      const cost = budgetEntryCost(entry);
+      const totals = budgetTotalsFor(entry.keyHash);
+      totals.day.credits += cost.credits;
+      totals.day.jobs += cost.jobs;
+    }
+  }
+  for (const f of usageFileParts()) {
+    if (f.day < budgetLedger.readDay) continue;
+    budgetLedger.readDay = f.day;
+    const file = path.join(usageDir, f.name);
+    let size = 0;
+    try { size = fs.statSync(file).size; } catch { continue; }
+    let offset = budgetLedger.files.get(file) || 0;
+    if (size < offset) offset = 0;
+    const read = readJsonLinesFrom(file, offset, size);
+    for (const line of read.lines) applyBudgetLine(line);
+    budgetLedger.files.set(file, read.offset);
+  }
+}
+
+function budgetUsage(keyHash, periods = budgetPeriods()) {
+  syncBudgetLedger(periods);
+  const totals = budgetLedger.used.get(keyHash);
+  const used = {
+    day: { credits: totals?.day.credits || 0, jobs: totals?.day.jobs || 0 },
+    month: { credits: totals?.month.credits || 0, jobs: totals?.month.jobs || 0 }
+  };
+  for (const hold of budgetHolds.get(keyHash) || []) {
+    for (const name of ['day', 'month']) {
+      used[name].credits += hold.credits;
+      used[name].jobs += 1;
+    }
+  }
+  for (const name of ['day', 'month']) used[name].credits = Math.round(used[name].credits * 100) / 100;
+  return used;
+}
+
+// Admit one job (with its billingFor() estimate) against the caller's budget.
+// Returns { exceeded: true, message, retryAfter } when it does not fit; otherwise the job
+// is held until release(), which the route calls once the job is in the usage log.
+function holdBudget(apiKey, billing) {
+  const keyHash = sha256Short(apiKey);
+  const limits = budgetLimitsFor(keyHash);
+  if (BUDGET_FIELDS.every(field => limits[field] === null)) return { exceeded: false, release() {} };
+
+  const periods = budgetPeriods();
+  const used = budgetUsage(keyHash, periods);
+  const credits = billing?.estimatedCredits || 0;
+  const checks = [
+    ['day', 'dailyJobs', 'jobs', 1, 'Daily job limit'],
+    ['day', 'dailyCredits', 'credits', credits, 'Daily credit budget'],
+    ['month', 'monthlyJobs', 'jobs', 1, 'Monthly job limit'],
+    ['month', 'monthlyCredits', 'credits', credits, 'Monthly credit budget']
+  ];
+  for (const [period, field, unit, cost, label] of checks) {
+    const limit = limits[field];
+    if (limit === null || used[period][unit] + cost <= limit) continue;
+    const resetsAt = periods[period].resetsAt;
+    const needs = unit === 'credits' && cost ? `, this job needs about ${cost}` : '';
+    return {
+      exceeded: true,
+      retryAfter: Math.ceil((resetsAt - Date.now()) / 1000),
+      message: `${label} reached for this APIKey (${used[period][unit]} of ${limit} ${unit} used${needs}). Resets at ${new Date(resetsAt).toISOString()}.`
+    };
+  }
+
+  const hold = { credits };
+  if (!budgetHolds.has(keyHash)) budgetHolds.set(keyHash, new Set());
+  budgetHolds.get(keyHash).add(hold);
+  return {
+    exceeded: false,
+    release() {
+      const holds = budgetHolds.get(keyHash);
+      if (!holds) return;
+      holds.delete(hold);
+      if (!holds.size) budgetHolds.delete(keyHash);
+    }
+  };
+}
+
+// 429 quota_exceeded in the route's own error shape (see sendError).
+function sendBudgetExceeded(res, over, shape = 'error') {
+  return sendError(res, apiError('quota_exceeded', over.message, { retryAfter: over.retryAfter, showDetail: true }), shape);
+}
+
+// GET /api/quota: limits, spending and reset times for the caller's key.
+function budgetStatus(keyHash) {
+  const limits = budgetLimitsFor(keyHash);
+  const periods = budgetPeriods();
+  const used = budgetUsage(keyHash, periods);
+  const item = (usedValue, limit) => ({
+    used: usedValue,
+    limit,
+    remaining: limit === null ? null : Math.max(0, Math.round((limit - usedValue) * 100) / 100)
+  });
+  return {
+    key_hash: keyHash,
+    timezone: 'UTC',
+    daily: {
+      credits: item(used.day.credits, limits.dailyCredits),
+      jobs: item(used.day.jobs, limits.dailyJobs),
+      resets_at: new Date(periods.day.resetsAt).toISOString()
+    },
+    monthly: {
+      credits: item(used.month.credits, limits.monthlyCredits),
+      jobs: item(used.month.jobs, limits.monthlyJobs),
+      resets_at: new Date(periods.month.resetsAt).toISOString()
+    }
+  };
+}
+
+// ------------------------------
+// Task registry (every generation job, per APIKey hash)
+// ------------------------------
+//
+// The browser keeps its own history (DuuDB / CacheManager), but that is lost when the
+// user clears site data or switches machines. Every create route records the job here
+// and every status route writes back what it learns, so paid jobs can always be found
+// again through GET /api/tasks.
+//
+// Stored as an append-only JSON-lines log, DATA_DIR/tasks.jsonl: the full record when a
+// task is created, then one line per change with only the fields that changed. Each process
+// appends its own lines and replays whatever others appended since its last read (tracked
+// by byte offset), so several processes sharing DATA_DIR do see each other's updates.
+// Once the log is mostly superseded lines it is compacted to one line per task, under a
+// lock file, and swapped in by rename. A tasks.json from older versions is imported once.
+
+const TASKS_MAX_RECORDS = Number(process.env.TASKS_MAX_RECORDS || 20000);
+const tasksFile = path.join(DATA_DIR, 'tasks.jsonl');
+const legacyTasksFile = path.join(DATA_DIR, 'tasks.json');
+const tasksLog = { list: [], byId: new Map(), ino: null, offset: 0, lines: 0, imported: false };
+
+// Emits ('update', taskId, state) whenever this process learns something about a task:
+// a status route, a KIE callback or a watcher poll. SSE streams subscribe to it.
+const taskEvents = new EventEmitter();
+taskEvents.setMaxListeners(0);
+
+function applyTaskLine(line) {
+  let entry;
+  try { entry = JSON.parse(line); } catch { return; } // hand-edited or damaged line
+  if (!entry?.id) return;
+  const task = tasksLog.byId.get(entry.id);
+  if (task) {
+    Object.assign(task, entry);
+  } else if (entry.keyHash) {
+    tasksLog.list.unshift(entry);
+    tasksLog.byId.set(entry.id, entry);
+  } // else: an update for a task that was already trimmed
+}
+
+// Newest first. Cheap when nothing changed: one fstat of the log.
+function loadTasks() {
+  let fd;
+  try {
+    fd = fs.openSync(tasksFile, 'r');
+  } catch {
+    if (!tasksLog.imported) {
+      tasksLog.imported = true;
+      if (fs.existsSync(legacyTasksFile)) importLegacyTasks();
+    }
+    return tasksLog.list;
+  }
+  try {
+    const { ino, size } = fs.fstatSync(fd);
+    if (ino !== tasksLog.ino || size < tasksLog.offset) {
+      // first read, or another process compacted the log: replay it from the start
+      Object.assign(tasksLog, { list: [], byId: new Map(), ino, offset: 0, lines: 0 });
+    }
+    if (size > tasksLog.offset) {
+      const buf = Buffer.alloc(size - tasksLog.offset);
+      fs.readSync(fd, buf, 0, buf.length, tasksLog.offset);
+      const end = buf.lastIndexOf(0x0a) + 1; // a line still being written waits for the next read
+      for (const line of buf.subarray(0, end).toString('utf8').split('\n')) {
+        if (!line) continue;
+        applyTaskLine(line);
+        tasksLog.lines++;
+      }
+      tasksLog.offset += end;
+      while (tasksLog.list.length > TASKS_MAX_RECORDS) tasksLog.byId.delete(tasksLog.list.pop().id);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return tasksLog.list;
+}
+
+function appendTaskLine(entry) {
+  loadTasks(); // imports a legacy tasks.json before the first line creates the log
+  const line = JSON.stringify(entry) + '\n';
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const fd = fs.openSync(tasksFile, 'a');
+    let ino;
+    try {
+      fs.writeSync(fd, line);
+      ino = fs.fstatSync(fd).ino;
+    } finally {
+      fs.closeSync(fd);
+    }
+    // A compaction that swapped the file after our write already copied the line over;
+    // one that swapped it before the write did not, so write it again (replaying is idempotent).
+    let current = null;
+    try { current = fs.statSync(tasksFile).ino; } catch { /* mid-rename */ }
+    if (current === ino) break;
+  }
+  loadTasks();
+  if (tasksLog.lines > 2 * tasksLog.list.length + 1000) compactTasks();
+}
+
+function withTasksLock(fn) {
+  const lockFile = `${tasksFile}.lock`;
+  let lockFd;
+  try {
+    lockFd = fs.openSync(lockFile, 'wx');
+  } catch {
+    // Another process is compacting. A lock left behind by a crash is cleared after a minute.
+    try { if (Date.now() - fs.statSync(lockFile).mtimeMs > 60_000) fs.rmSync(lockFile, { force: true }); } catch { /* gone */ }
+    return false;
+  }
+  try {
+    fn();
+    return true;
+  } finally {
+    fs.closeSync(lockFd);
+    fs.rmSync(lockFile, { force: true });
+  }
+}
+
+function writeTasksSnapshot(list) {
+  const tmp = `${tasksFile}.${process.pid}.tmp`;
+  const lines = [];
+  for (let i = list.length - 1; i >= 0; i--) lines.push(JSON.stringify(list[i]) + '\n'); // oldest first
+  fs.writeFileSync(tmp, lines.join(''), 'utf8');
+  fs.renameSync(tmp, tasksFile);
+}
+
+// Rewrite the log as one line per task. Lines other processes append to the old file
+// while this runs are copied over after the swap.
+function compactTasks() {
+  withTasksLock(() => {
+    loadTasks();
+    const oldFd = fs.openSync(tasksFile, 'r');
+    try {
+      if (fs.fstatSync(oldFd).ino !== tasksLog.ino) return; // compacted meanwhile
+      writeTasksSnapshot(tasksLog.list);
+      const { size } = fs.fstatSync(oldFd);
+      if (size > tasksLog.offset) {
+        const tail = Buffer.alloc(size - tasksLog.offset);
+        fs.readSync(oldFd, tail, 0, tail.length, tasksLog.offset);
+        fs.appendFileSync(tasksFile, tail);
+      }
+    } finally {
+      fs.closeSync(oldFd);
+    }
+    tasksLog.ino = null;
+  });
+  loadTasks();
+}
+
+function importLegacyTasks() {
+  const list = readJson(legacyTasksFile, []);
+  if (!Array.isArray(list)) return;
+  const done = withTasksLock(() => {
+    if (fs.existsSync(tasksFile)) return; // another process got here first
+    writeTasksSnapshot(list.slice(0, TASKS_MAX_RECORDS));
+    fs.renameSync(legacyTasksFile, `${legacyTasksFile}.imported`);
+  });
+  if (done) console.log(`[kenwei-aigc] imported ${list.length} task records from tasks.json into tasks.jsonl`);
+  loadTasks();
+}
+
+function findTask(taskId) {
+  loadTasks();
+  return tasksLog.byId.get(taskId) || null;
+}
+
+// The worker needs the caller's KIE key to poll on its own, so keys that created tasks are
+// kept in DATA_DIR/task-keys.json (keyHash -> AES-256-GCM ciphertext), never in the task log.
+// Only when TASK_WORKER_SECRET is set: a cipher key stored next to the ciphertext in DATA_DIR
+// would protect nothing against anyone who can read that directory.
+const taskKeysFile = path.join(DATA_DIR, 'task-keys.json');
+let taskKeyCipherKey = null;
+
+function getTaskKeyCipherKey() {
+  if (!taskKeyCipherKey) taskKeyCipherKey = crypto.createHash('sha256').update(TASK_WORKER_SECRET).digest();
+  return taskKeyCipherKey;
+}
+
+function rememberTaskKey(apiKey) {
+  const keyHash = sha256Short(apiKey);
+  const keys = readJson(taskKeysFile, {});
+  if (keys[keyHash] && recallTaskKey(keyHash) === apiKey) return;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getTaskKeyCipherKey(), iv);
+  const enc = Buffer.concat([cipher.update(apiKey, 'utf8'), cipher.final()]);
+  keys[keyHash] = [iv, cipher.getAuthTag(), enc].map(b => b.toString('base64')).join('.');
+  writeJson(taskKeysFile, keys);
+}
+
+function recallTaskKey(keyHash) {
+  if (!TASK_KEY_STORAGE) return '';
+  const entry = readJson(taskKeysFile, {})[keyHash];
+  if (!entry) return '';
+  try {
+    const [iv, tag, enc] = entry.split('.').map(b => Buffer.from(b, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getTaskKeyCipherKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(enc), decipher.final()]).toString('utf8');
+  } catch {
+    return ''; // secret changed: the worker skips this key until it creates a task again
+  }
+}
+
+// upstream: which KIE record endpoint knows this task ('market' | 'veo' | 'image').
+function recordTaskCreated(apiKey, { id, model, path: routePath, upstream, params = {}, recordBase, callbackToken, billing }) {
+  const now = Date.now();
+  const record = {
+    id,
+    keyHash: sha256Short(apiKey),
+    model,
+    path: routePath,
+    upstream,
+    ...(recordBase ? { recordBase } : {}),
+    ...(callbackToken ? { callbackToken } : {}),
+    params,
+    seconds: billing?.seconds ?? null,
+    resolution: billing?.resolution ?? null,
+    credits: { estimated: billing?.estimatedCredits ?? null, actual: null },
+    elapsedMs: null,
+    status: 'processing',
+    statusHistory: [{ status: 'processing', at: now }],
+    resultUrls: [],
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null
+  };
+  appendTaskLine(record);
+  incMetric('kenwei_tasks_created_total', { model: model || '' });
+  if (TASK_KEY_STORAGE) {
+    try { rememberTaskKey(apiKey); } catch (err) { console.warn('[kenwei-aigc] task key not stored:', err.message); }
+  }
+  return findTask(id) || record;
+}
+
+// Apply what a status check learned. Only writes when something actually changed.
+// `credits` is what KIE reports as charged, when it does; otherwise a completed task is
+// booked at its estimate and a failed one at 0 (KIE does not charge failed jobs).
+function recordTaskStatus(taskId, { status, resultUrls, error, progress, credits }) {
+  const task = findTask(taskId);
+  if (!task) return null;
+
+  const patch = {};
+  let changed = false;
+  let finished = false;
+  if (status && status !== task.status) {
+    task.status = status;
+    task.statusHistory.push({ status, at: Date.now() });
+    if (status === 'completed' || status === 'failed') {
+      task.completedAt = Date.now();
+      task.elapsedMs = task.completedAt - task.createdAt;
+      task.credits = task.credits || { estimated: null, actual: null };
+      task.credits.actual = typeof credits === 'number' ? credits : (status === 'completed' ? task.credits.estimated : 0);
+      Object.assign(patch, { completedAt: task.completedAt, elapsedMs: task.elapsedMs, credits: task.credits });
+      finished = true;
+    }
+    Object.assign(patch, { status, statusHistory: task.statusHistory });
+    changed = true;
+  }
+  if (Array.isArray(resultUrls) && resultUrls.length && JSON.stringify(resultUrls) !== JSON.stringify(task.resultUrls)) {
+    task.resultUrls = patch.resultUrls = resultUrls;
+    changed = true;
+  }
+  if (error && error !== task.error) {
+    task.error = patch.error = error;
+    changed = true;
+  }
+  if (typeof progress === 'number' && progress !== task.progress) {
+    task.progress = patch.progress = progress;
+    changed = true;
+  }
+
+  if (changed) {
+    task.updatedAt = Date.now();
+    appendTaskLine({ id: taskId, ...patch, updatedAt: task.updatedAt });
+    if (finished) {
+      observeTaskFinished(task);
+      recordUsageOutcome(task.keyHash, taskId, { status: task.status, error: task.error, actualCredits: task.credits.actual, elapsedMs: task.elapsedMs });
+    }
+    if (task.status === 'completed' && MIRROR_RESULTS) {
+      // Hold the push until our own copy exists (or MIRROR_WAIT_MS passes), so pages
+      // store the durable URL rather than the expiring KIE one.
+      waitForMirror(taskId).then(() => taskEvents.emit('update', taskId, taskStateOf(findTask(taskId) || task)));
+    } else {
+      taskEvents.emit('update', taskId, taskStateOf(task));
+    }
+  }
+  return task;
+}
+
+function updateTask(taskId, patch) {
+  const task = findTask(taskId);
+  if (!task) return null;
+  Object.assign(task, patch, { updatedAt: Date.now() });
+  appendTaskLine({ id: taskId, ...patch, updatedAt: task.updatedAt });
+  return task;
+}
+
+function isTerminalStatus(status) {
+  return status === 'completed' || status === 'failed';
+}
+
+// Mirrored copies win over the upstream URLs once they exist.
+function taskStateOf(task) {
+  const resultUrls = task.localUrls?.length ? task.localUrls : task.resultUrls;
+  return { status: task.status, resultUrls, error: task.error, progress: task.status === 'completed' ? 1 : task.progress };
+}
+
+function publicTask(task) {
+  const { keyHash, recordBase, callbackToken, ...rest } = task;
+  return rest;
+}
+
+// A fresh callback address for one create call. The token is stored on the task
+// record and must come back in the callback URL, so forged callbacks are rejected.
+// Returns {} when PUBLIC_BASE_URL is not configured (pages keep polling as before).
+function newTaskCallback() {
+  if (!PUBLIC_BASE_URL) return {};
+  const callbackToken = crypto.randomBytes(16).toString('hex');
+  return { callbackToken, callBackUrl: `${PUBLIC_BASE_URL}/api/kie/callback?token=${callbackToken}` };
+}
+
+// ------------------------------
+// Storage
+// ------------------------------
+//
+// Uploads (/api/generations) and mirrored results go through one adapter:
+//   put(key, body, { contentType, contentLength }) -> public URL   (body: Buffer or stream)
+//   read(key) -> Buffer, delete(key), url(key), signedUrl(key, ttlSeconds), keyFromUrl(url)
+// Keys are relative paths such as `results/<taskId>-0.mp4`. The local adapter also has
+// localPath(key) so files can be streamed with sendFile.
+
+function isSafeStorageKey(key) {
+  return /^[\w][\w./-]*$/.test(key) && !key.split('/').includes('..');
+}
+
+function createLocalStorage({ dir, urlPrefix }) {
+  const fileFor = (key) => {
+    if (!isSafeStorageKey(key)) throw new Error(`Invalid storage key: ${key}`);
+    return path.join(dir, key);
+  };
+  const url = key => `${urlPrefix}/${key}`;
+
+  return {
+    driver: 'local',
+    async put(key, body) {
+      const filePath = fileFor(key);
+      ensureDirSync(path.dirname(filePath));
+      if (Buffer.isBuffer(body)) fs.writeFileSync(filePath, body);
+      else await pipeline(body, fs.createWriteStream(filePath));
+      return url(key);
+    },
+    async read(key) {
+      return fs.readFileSync(fileFor(key));
+    },
+    async delete(key) {
+      fs.rmSync(fileFor(key), { force: true });
+    },
+    url,
+    // Files under /uploads are public static files already, so there is nothing to sign.
+    signedUrl: url,
+    keyFromUrl(u) {
+      const str = String(u || '');
+      if (!str.startsWith(`${urlPrefix}/`)) return null;
+      const key = str.slice(urlPrefix.length + 1);
+      return isSafeStorageKey(key) ? key : null;
+    },
+    localPath: fileFor
+  };
+}
+
+// AWS Signature V4, which COS / OBS / MinIO accept on their S3 endpoints.
+function awsUriEncode(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function hmacSha256(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function awsSignature({ method, uri, query, headers, payloadHash, amzDate, region, secretAccessKey }) {
+  const names = Object.keys(headers).sort();
+  const canonicalRequest = [
+    method,
+    uri,
+    Object.keys(query).sort().map(k => `${awsUriEncode(k)}=${awsUriEncode(query[k])}`).join('&'),
+    names.map(n => `${n}:${String(headers[n]).trim()}\n`).join(''),
+    names.join(';'),
+    payloadHash
+  ].join('\n');
+  const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  let key = hmacSha256(`AWS4${secretAccessKey}`, amzDate.slice(0, 8));
+  for (const part of [region, 's3', 'aws4_request']) key = hmacSha256(key, part);
+  return { signature: hmacSha256(key, stringToSign).toString('hex'), signedHeaders: names.join(';'), scope };
+}
+
+function createS3Storage({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle, prefix, publicBaseUrl, signedUrlTtl }) {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('STORAGE_DRIVER=s3 needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+  const base = new URL(endpoint);
+  const host = forcePathStyle ? base.host : `${bucket}.${base.host}`;
+  const objectUri = (key) => {
+    if (!isSafeStorageKey(key)) throw new Error(`Invalid storage key: ${key}`);
+    const encoded = `${prefix}${key}`.split('/').map(awsUriEncode).join('/');
+    return forcePathStyle ? `/${bucket}/${encoded}` : `/${encoded}`;
+  };
+  const amzNow = () => new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+
+  function request(method, key, { body, contentType, contentLength } = {}) {
+    const uri = objectUri(key);
+    const amzDate = amzNow();
+    const payloadHash = Buffer.isBuffer(body) ? sha256Hex(body) : (body ? 'UNSIGNED-PAYLOAD' : sha256Hex(''));
+    const headers = { host, 'x-amz-date': amzDate, 'x-amz-content-sha256': payloadHash };
+    if (contentType) headers['content-type'] = contentType;
+    const { signature, signedHeaders, scope } = awsSignature({ method, uri, query: {}, headers, payloadHash, amzDate, region, secretAccessKey });
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+    if (body) headers['content-length'] = Buffer.isBuffer(body) ? body.length : contentLength;
+
+    return new Promise((resolve, reject) => {
+      const req = (base.protocol === 'https:' ? https : http).request({
+        method,
+        hostname: forcePathStyle ? base.hostname : `${bucket}.${base.hostname}`,
+        port: base.port || undefined,
+        path: uri,
+        headers,
+        timeout: MIRROR_TIMEOUT_MS
+      }, (res) => {
+        const chunks = [];
+        res.on('data', c => chunks.push(c));
+        res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks) }));
+        res.on('error', reject);
+      });
+      req.on('error', reject);
+      req.on('timeout', () => req.destroy(new Error('Storage request timeout')));
+      if (body && !Buffer.isBuffer(body)) {
+        body.on('error', err => req.destroy(err));
+        body.pipe(req);
+      } else {
+        req.end(body);
+      }
+    });
+  }
+
+  const check = (op, key, { status, body }) => {
+    if (status >= 200 && status < 300) return;
+    throw new Error(`Storage ${op} ${key} failed (${status}): ${body.toString('utf8').slice(0, 300)}`);
+  };
+
+  function signedUrl(key, ttl = signedUrlTtl) {
+    const uri = objectUri(key);
+    const amzDate = amzNow();
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${accessKeyId}/${amzDate.slice(0, 8)}/${region}/s3/aws4_request`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(Math.min(604800, Math.max(1, ttl))),
+      'X-Amz-SignedHeaders': 'host'
+    };
+    const { signature } = awsSignature({ method: 'GET', uri, query, headers: { host }, payloadHash: 'UNSIGNED-PAYLOAD', amzDate, region, secretAccessKey });
+    const qs = Object.keys(query).sort().map(k => `${awsUriEncode(k)}=${awsUriEncode(query[k])}`).join('&');
+    return `${base.protocol}//${host}${uri}?${qs}&X-Amz-Signature=${signature}`;
+  }
+
+  const url = key => (publicBaseUrl ? `${publicBaseUrl}/${key}` : `/media/${key}`);
+
+  return {
+    driver: 's3',
+    async put(key, body, { contentType, contentLength } = {}) {
+      check('PUT', key, await request('PUT', key, { body, contentType, contentLength }));
+      return url(key);
+    },
+    async read(key) {
+      const resp = await request('GET', key);
+      check('GET', key, resp);
+      return resp.body;
+    },
+    async delete(key) {
+      const resp = await request('DELETE', key);
+      if (resp.status !== 404) check('DELETE', key, resp);
+    },
+    url,
+    signedUrl,
+    keyFromUrl(u) {
+      const str = String(u || '');
+      const prefixes = [publicBaseUrl ? `${publicBaseUrl}/` : null, '/media/'].filter(Boolean);
+      const hit = prefixes.find(p => str.startsWith(p));
+      if (!hit) return null;
+      const key = str.slice(hit.length);
+      return isSafeStorageKey(key) ? key : null;
+    },
+    localPath: null
+  };
+}
+
+const storage = STORAGE_DRIVER === 's3'
+  ? createS3Storage({
+    endpoint: S3_ENDPOINT,
+    region: S3_REGION,
+    bucket: S3_BUCKET,
+    accessKeyId: S3_ACCESS_KEY_ID,
+    secretAccessKey: S3_SECRET_ACCESS_KEY,
+    forcePathStyle: S3_FORCE_PATH_STYLE,
+    prefix: S3_PREFIX,
+    publicBaseUrl: S3_PUBLIC_BASE_URL,
+    signedUrlTtl: STORAGE_SIGNED_URL_TTL
+  })
+  : createLocalStorage({ dir: UPLOADS_DIR, urlPrefix: '/uploads' });
+
+// Hand a stored object to the browser: stream local files (sendFile answers Range),
+// redirect to a signed URL for S3 (the client repeats its Range header there).
+function sendStoredObject(res, key) {
+  if (storage.localPath) {
+    const filePath = storage.localPath(key);
+    if (!fs.existsSync(filePath)) return res.status(404).send('Not found');
+    return res.sendFile(filePath);
+  }
+  res.setHeader('Cache-Control', 'no-store');
+  return res.redirect(storage.signedUrl(key));
+}
+
+// ------------------------------
+// Result mirroring
+// ------------------------------
+//
+// When a task completes, each result URL is copied into storage under results/ and the
+// task record gets `localUrls` (our URLs), `storageKeys` and `mirroredAt`. Status routes,
+// SSE and /content then hand out our URL instead of the expiring KIE one; local files
+// are served with Range support so videos can seek. Copies older than
+// MIRROR_RETENTION_DAYS are deleted.
+
+const MIRROR_MAX_ATTEMPTS = 3;
+const mirrorJobs = new Map(); // taskId -> Promise<task>
+
+function mirrorExtFor(contentType, url) {
+  const mime = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (mime === 'video/mp4') return 'mp4';
+  if (mime === 'video/webm') return 'webm';
+  if (mime === 'video/quicktime') return 'mov';
+  if (mime.startsWith('image/')) return extFromMime(mime);
+  const m = /\.([a-z0-9]{2,5})$/i.exec(new URL(url).pathname);
+  return m ? m[1].toLowerCase() : 'bin';
+}
+
+// Downloads into a temp file first so the size cap applies before anything is stored,
+// then streams the file into storage. Returns { key, url }.
+async function downloadToMirror(url, baseName) {
+  const tmpDir = path.join(os.tmpdir(), 'kenwei-mirror');
+  ensureDirSync(tmpDir);
+  const tmpPath = path.join(tmpDir, `${baseName}-${crypto.randomBytes(4).toString('hex')}.part`);
+  const { signal, cancel } = withTimeout(null, MIRROR_TIMEOUT_MS);
+  try {
+    const resp = await fetch(url, { signal });
+    if (!resp.ok || !resp.body) throw new Error(`Download failed (${resp.status})`);
+    if (Number(resp.headers.get('content-length') || 0) > MIRROR_MAX_BYTES) throw new Error('File too large to mirror');
+
+    let bytes = 0;
+    const limit = new Transform({
+      transform(chunk, _enc, cb) {
+        bytes += chunk.length;
+        cb(bytes > MIRROR_MAX_BYTES ? new Error('File too large to mirror') : null, chunk);
+      }
+    });
+    await pipeline(Readable.fromWeb(resp.body), limit, fs.createWriteStream(tmpPath));
+
+    const contentType = resp.headers.get('content-type') || undefined;
+    const key = `results/${baseName}.${mirrorExtFor(contentType, url)}`;
+    const storedUrl = await storage.put(key, fs.createReadStream(tmpPath), { contentType, contentLength: bytes });
+    incMetric('kenwei_upload_bytes_total', { target: 'mirror' }, bytes);
+    return { key, url: storedUrl };
+  } finally {
+    cancel();
+    fs.rmSync(tmpPath, { force: true });
+  }
+}
+
+// One download job per task, shared by everyone waiting on it.
+function mirrorTaskResults(taskId) {
+  if (mirrorJobs.has(taskId)) return mirrorJobs.get(taskId);
+  const job = (async () => {
+    const task = findTask(taskId);
+    if (!task || task.status !== 'completed' || !task.resultUrls?.length || task.localUrls?.length) return task;
+    try {
+      const safeId = String(taskId).replace(/[^\w-]/g, '_');
+      const stored = [];
+      for (let i = 0; i < task.resultUrls.length; i++) {
+        stored.push(await downloadToMirror(task.resultUrls[i], `${safeId}-${i}`));
+      }
+      return updateTask(taskId, {
+        localUrls: stored.map(x => x.url),
+        storageKeys: stored.map(x => x.key),
+        mirroredAt: Date.now(),
+        mirrorError: null
+      });
+    } catch (err) {
+      console.warn(`[kenwei-aigc] mirror ${taskId} failed:`, err.message || err);
+      return updateTask(taskId, { mirrorAttempts: (task.mirrorAttempts || 0) + 1, mirrorError: String(err.message || err) });
+    }
+  })().finally(() => mirrorJobs.delete(taskId));
+  mirrorJobs.set(taskId, job);
+  return job;
+}
+
+function needsMirror(task) {
+  return Boolean(MIRROR_RESULTS && task && task.status === 'completed' && task.resultUrls?.length &&
+    !task.localUrls?.length && !task.mirrorExpiredAt && (task.mirrorAttempts || 0) < MIRROR_MAX_ATTEMPTS);
+}
+
+// Start (or join) the mirror job, but give up waiting after MIRROR_WAIT_MS; the download
+// carries on in the background and later status checks pick up the local URL.
+async function waitForMirror(taskId) {
+  if (!needsMirror(findTask(taskId))) return;
+  await Promise.race([
+    mirrorTaskResults(taskId),
+    new Promise(r => setTimeout(r, MIRROR_WAIT_MS).unref?.())
+  ]);
+}
+
+async function sweepMirroredResults() {
+  if (!MIRROR_RETENTION_DAYS) return;
+  const cutoff = Date.now() - MIRROR_RETENTION_DAYS * 86400_000;
+
+  const expired = loadTasks().filter(t => t.localUrls?.length && t.mirroredAt < cutoff);
+  for (const task of expired) {
+    const keys = task.storageKeys || task.localUrls.map(u => storage.keyFromUrl(u)).filter(Boolean);
+    try {
+      for (const key of keys) await storage.delete(key);
+      updateTask(task.id, { localUrls: [], storageKeys: [], mirrorExpiredAt: Date.now() });
+    } catch (err) {
+      console.warn(`[kenwei-aigc] retention delete for ${task.id} failed:`, err.message || err);
+    }
+  }
+
+  // Local files whose task record was trimmed from the task log. For S3, set a bucket
+  // lifecycle rule on results/ to cover the same case.
+  if (!storage.localPath) return;
+  const resultsDir = storage.localPath('results');
+  let names = [];
+  try { names = fs.readdirSync(resultsDir); } catch { return; }
+  for (const name of names) {
+    const p = path.join(resultsDir, name);
+    try {
+      if (fs.statSync(p).mtimeMs < cutoff) fs.rmSync(p, { force: true });
+    } catch { /* removed meanwhile */ }
+  }
+}
+
+function startMirrorRetention() {
+  if (!MIRROR_RESULTS) return;
+  const sweep = () => sweepMirroredResults().catch(err => console.warn('[kenwei-aigc] retention sweep failed:', err.message || err));
+  sweep();
+  setInterval(sweep, 3600_000).unref?.();
+}
+
+// ------------------------------
+// Upstream limiter
+// ------------------------------
+//
+// Every KIE helper call first takes a slot in its endpoint class: `upload`, `create`
+// (createTask / Veo generate / image generate) or `poll` (record-info). A class caps the
+// calls in flight overall and per APIKey; callers past the cap wait in a queue that serves
+// keys round-robin, so one batch page with a high maxConcurrent cannot starve everyone
+// else. A call still waiting after KIE_QUEUE_TIMEOUT_MS fails with status 503 and never
+// reaches KIE. GET /api/queue shows the caller where their calls stand.
+
+const upstreamClasses = {};
+for (const [name, limits] of Object.entries(KIE_CONCURRENCY)) {
+  upstreamClasses[name] = {
+    name,
+    global: Math.max(1, limits.global || 1),
+    perKey: Math.max(1, limits.perKey || 1),
+    active: 0,
+    activeByKey: new Map(), // keyHash -> calls in flight
+    queues: new Map(), // keyHash -> waiters, in round-robin order
+    served: 0,
+    timedOut: 0
+  };
+}
+
+function grantUpstreamSlot(cls, waiter) {
+  cls.active++;
+  cls.activeByKey.set(waiter.keyHash, (cls.activeByKey.get(waiter.keyHash) || 0) + 1);
+  cls.served++;
+  let released = false;
+  waiter.resolve(() => {
+    if (released) return;
+    released = true;
+    cls.active--;
+    const n = cls.activeByKey.get(waiter.keyHash) - 1;
+    if (n > 0) cls.activeByKey.set(waiter.keyHash, n);
+    else cls.activeByKey.delete(waiter.keyHash);
+    dispatchUpstream(cls);
+  });
+}
+
+// Hand free slots to the first key in line that is under its own cap; that key then
+// moves to the back of the line.
+function dispatchUpstream(cls) {
+  while (cls.active < cls.global) {
+    let keyHash = null;
+    for (const [k] of cls.queues) {
+      if ((cls.activeByKey.get(k) || 0) < cls.perKey) {
+        keyHash = k;
+        break;
+      }
+    }
+    if (!keyHash) return;
+    const queue = cls.queues.get(keyHash);
+    const waiter = queue.shift();
+    cls.queues.delete(keyHash);
+    if (queue.length) cls.queues.set(keyHash, queue);
+    clearTimeout(waiter.timer);
+    grantUpstreamSlot(cls, waiter);
+  }
+}
+
+// Resolves with a release function once a slot is free.
+function acquireUpstreamSlot(className, apiKey) {
+  const cls = upstreamClasses[className];
+  const keyHash = sha256Short(apiKey || '');
+  return new Promise((resolve, reject) => {
+    const waiter = { keyHash, resolve, queuedAt: Date.now() };
+    if (!cls.queues.has(keyHash)) cls.queues.set(keyHash, []);
+    cls.queues.get(keyHash).push(waiter);
+    waiter.timer = setTimeout(() => {
+      const queue = cls.queues.get(keyHash) || [];
+      const idx = queue.indexOf(waiter);
+      if (idx === -1) return;
+      queue.splice(idx, 1);
+      if (!queue.length) cls.queues.delete(keyHash);
+      cls.timedOut++;
+      reject(apiError('upstream_unavailable', `KIE ${className} queue is full: no slot within ${Math.round(KIE_QUEUE_TIMEOUT_MS / 1000)}s, please retry later`, { retryAfter: 5 }));
+    }, KIE_QUEUE_TIMEOUT_MS);
+    dispatchUpstream(cls);
+  });
+}
+
+async function limitUpstream(className, apiKey, fn) {
+  const release = await acquireUpstreamSlot(className, apiKey);
+  try {
+    return await fn();
+  } finally {
+    release();
+  }
+}
+
+// Waiters in the order dispatchUpstream would serve them (ignoring per-key caps).
+function upstreamServiceOrder(cls) {
+  const order = [];
+  const queues = [...cls.queues.values()];
+  for (let round = 0; order.length < queues.reduce((n, q) => n + q.length, 0); round++) {
+    for (const queue of queues) {
+      if (queue[round]) order.push(queue[round]);
+    }
+  }
+  return order;
+}
+
+// Per-class load for /api/health, plus the caller's own waiting calls when keyHash is given.
+function upstreamQueueStatus(keyHash) {
+  const classes = {};
+  const waiting = [];
+  for (const cls of Object.values(upstreamClasses)) {
+    const order = upstreamServiceOrder(cls);
+    classes[cls.name] = {
+      limit: cls.global,
+      perKey: cls.perKey,
+      active: cls.active,
+      queued: order.length,
+      served: cls.served,
+      timedOut: cls.timedOut
+    };
+    if (!keyHash) continue;
+    order.forEach((waiter, i) => {
+      if (waiter.keyHash !== keyHash) return;
+      waiting.push({ class: cls.name, position: i + 1, waited_ms: Date.now() - waiter.queuedAt });
+    });
+  }
+  return keyHash ? { classes, waiting, timeout_ms: KIE_QUEUE_TIMEOUT_MS } : classes;
+}
+
+// ------------------------------
+// Endpoint discovery
+// ------------------------------
+//
+// Some KIE capabilities have moved between paths, so each one has a list of candidates in
+// order of preference. The first candidate that answers is remembered (in memory and in
+// DATA_DIR/endpoints.json) and tried first from then on; when it fails, the remaining
+// candidates are walked again and whichever works replaces it. After
+// KIE_ENDPOINT_REPROBE_MS the list is walked in preference order once more, so a preferred
+// endpoint that comes back is picked up. Pinned endpoints (KIE_*_URL) are used as-is.
+
+const ENDPOINT_CANDIDATES = {
+  upload: [
+    { url: `${KIE_API_BASE}/api/v1/files/upload` },
+    { url: `${KIE_API_BASE}/api/v1/file/upload` },
+    { url: `${KIE_API_BASE}/api/v1/upload` }
+  ],
+  imageGenerate: [
+    { url: `${KIE_API_BASE}/api/v1/gpt-image/generate`, recordUrl: `${KIE_API_BASE}/api/v1/gpt-image/record-info` },
+    { url: `${KIE_API_BASE}/api/v1/gpt-image/generate`, recordUrl: `${KIE_API_BASE}/api/v1/gpt-image/recordInfo` },
+    { url: `${KIE_API_BASE}/api/v1/image/generate`, recordUrl: `${KIE_API_BASE}/api/v1/image/record-info` },
+    { url: `${KIE_API_BASE}/api/v1/images/generate`, recordUrl: `${KIE_API_BASE}/api/v1/images/record-info` }
+  ],
+  credit: [
+    { url: `${KIE_API_BASE}/api/v1/chat/credit` },
+    { url: `${KIE_API_BASE}/api/v1/user/credits` },
+    { url: `${KIE_API_BASE}/api/v1/user/credit` }
+  ],
+  chat: [
+    { url: `${KIE_API_BASE}/v1/chat/completions` },
+    { url: `${KIE_API_BASE}/api/v1/chat/completions` }
+  ]
+};
+
+const endpointsFile = path.join(DATA_DIR, 'endpoints.json');
+let resolvedEndpoints = null; // capability -> { url, recordUrl, resolvedAt, base }
+
+function endpointUrl(value) {
+  return /^https?:\/\//i.test(value) ? value : `${KIE_API_BASE}/${value.replace(/^\//, '')}`;
+}
+
+function pinnedEndpoint(capability) {
+  const pin = KIE_ENDPOINT_PINS[capability];
+  if (!pin) return null;
+  const candidate = { url: endpointUrl(pin) };
+  if (capability === 'imageGenerate') {
+    candidate.recordUrl = KIE_IMAGE_RECORD_URL
+      ? endpointUrl(KIE_IMAGE_RECORD_URL)
+      : candidate.url.replace(/\/generate$/, '/record-info');
+  }
+  return candidate;
+}
+
+function loadResolvedEndpoints() {
+  if (!resolvedEndpoints) {
+    const saved = readJson(endpointsFile, {});
+    // Entries learned against another KIE_API_BASE do not apply.
+    resolvedEndpoints = Object.fromEntries(Object.entries(saved).filter(([, e]) => e?.base === KIE_API_BASE));
+  }
+  return resolvedEndpoints;
+}
+
+const sameEndpoint = (a, b) => a.url === b.url && (a.recordUrl || '') === (b.recordUrl || '');
+
+// Candidates to try, in order: the pinned one alone, else the remembered one (while fresh) first.
+function endpointCandidates(capability) {
+  const pinned = pinnedEndpoint(capability);
+  if (pinned) return [pinned];
+  const list = ENDPOINT_CANDIDATES[capability];
+  const known = loadResolvedEndpoints()[capability];
+  if (!known || Date.now() - known.resolvedAt > KIE_ENDPOINT_REPROBE_MS) return list;
+  const first = list.find(c => sameEndpoint(c, known));
+  return first ? [first, ...list.filter(c => c !== first)] : list;
+}
+
+// Called when a candidate answered properly; persists only when the choice changes.
+function rememberEndpoint(capability, candidate) {
+  if (pinnedEndpoint(capability)) return;
+  const all = loadResolvedEndpoints();
+  const known = all[capability];
+  if (known && sameEndpoint(known, candidate) && Date.now() - known.resolvedAt <= KIE_ENDPOINT_REPROBE_MS) return;
+  all[capability] = { url: candidate.url, recordUrl: candidate.recordUrl || null, resolvedAt: Date.now(), base: KIE_API_BASE };
+  try {
+    writeJson(endpointsFile, all);
+  } catch (err) {
+    console.warn('[kenwei-aigc] endpoints.json write failed:', err.message || err);
+  }
+}
+
+function endpointStatus() {
+  const out = {};
+  for (const capability of Object.keys(ENDPOINT_CANDIDATES)) {
+    const pinned = pinnedEndpoint(capability);
+    const known = loadResolvedEndpoints()[capability];
+    const entry = pinned || known;
+    out[capability] = {
+      url: entry?.url || null,
+      ...(capability === 'imageGenerate' ? { recordUrl: entry?.recordUrl || null } : {}),
+      source: pinned ? 'pinned' : known ? 'discovered' : 'unresolved',
+      resolvedAt: !pinned && known ? new Date(known.resolvedAt).toISOString() : null,
+      candidates: ENDPOINT_CANDIDATES[capability].length
+    };
+  }
+  return out;
+}
+
+// ------------------------------
+// Model registry
+// ------------------------------
+//
+// Every model the pages offer, what it accepts and how it maps onto KIE. The routes validate
+// requests against it and GET /api/models hands it to the pages, which build their model,
+// ratio, duration and resolution selectors from it: adding a model is a change here only.
+//   family      - route family: sora / veo (/v1/videos), kling, gemini (/v1beta)
+//   kind        - output: video / image / text
+//   inputs      - text, image (one reference image), frames (first + last frame),
+//                 reference (several reference images)
+//   durations   - seconds; ratios - 'W:H'; resolutions - as sent to KIE. The first is the default.
+//   upstream    - KIE model id per input kind
+//   aliases     - other ids older clients send; hidden - accepted but not offered on the pages
+
+// Kling versions (`model_name`) -> KIE market models per mode, plus the parameters each
+// version accepts. Anything outside this table is rejected instead of being silently
+// dropped. Listed in MODEL_REGISTRY like every other model.
+const KLING_VERSIONS = {
+  'kling-v2-6': {
+    label: 'Kling 2.6（支持音效）',
+    models: {
+      pro: { text: 'kling-2.6/text-to-video', image: 'kling-2.6/image-to-video' }
+    },
+    imageField: 'image_urls',
+    tailModes: [],
+    aspectRatios: ['16:9', '9:16', '1:1'],
+    durations: ['5', '10'],
+    sound: true,
+    negativePrompt: false,
+    cfgScale: false
+  },
+  'kling-v2-5-turbo': {
+    label: 'Kling v2.5 Turbo（快速）',
+    models: {
+      pro: { text: 'kling/v2-5-turbo-text-to-video-pro', image: 'kling/v2-5-turbo-image-to-video-pro' }
+    },
+    imageField: 'image_url',
+    tailModes: ['pro'],
+    aspectRatios: ['16:9', '9:16', '1:1'],
+    durations: ['5', '10'],
+    sound: false,
+    negativePrompt: true,
+    cfgScale: true
+  },
+  'kling-v2-1-master': {
+    label: 'Kling v2.1 Master',
+    models: {
+      pro: { text: 'kling/v2-1-master-text-to-video', image: 'kling/v2-1-master-image-to-video' }
+    },
+    imageField: 'image_url',
+    tailModes: [],
+    aspectRatios: ['16:9', '9:16', '1:1'],
+    durations: ['5', '10'],
+    sound: false,
+    negativePrompt: true,
+    cfgScale: true
+  },
+  'kling-v2-1': {
+    label: 'Kling v2.1',
+    models: {
+      std: { image: 'kling/v2-1-standard' },
+      pro: { image: 'kling/v2-1-pro' }
+    },
+    imageField: 'image_url',
+    tailModes: ['pro'],
+    aspectRatios: ['16:9', '9:16', '1:1'],
+    durations: ['5', '10'],
+    sound: false,
+    negativePrompt: true,
+    cfgScale: true
+  }
+};
+
+// Clients that do not send model_name keep getting the previous default: Kling 2.6 without
+// sound and, for image-to-video, a 16:9 frame.
+const DEFAULT_KLING_VERSION = 'kling-v2-6';
+
+const GEMINI_IMAGE_RATIOS = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'];
+
+const MODEL_REGISTRY = [
+  {
+    id: 'sora-2-all',
+    family: 'sora',
+    kind: 'video',
+    label: 'Sora-2',
+    aliases: ['sora_2_all'],
+    inputs: ['text', 'image'],
+    durations: ['10', '15', '20'],
+    ratios: ['16:9', '9:16'],
+    resolutions: ['720p'],
+    upstream: { text: 'sora-2-pro/text-to-video', image: 'sora-2-pro/image-to-video' }
+  },
+  {
+    id: 'sora-2-pro',
+    family: 'sora',
+    kind: 'video',
+    label: 'Sora-2-Pro',
+    aliases: ['sora_2_pro'],
+    inputs: ['text', 'image'],
+    durations: ['10', '15', '20'],
+    ratios: ['16:9', '9:16'],
+    resolutions: ['720p', '1080p'],
+    upstream: { text: 'sora-2-pro/text-to-video', image: 'sora-2-pro/image-to-video' }
+  },
+  {
+    id: 'sora-2',
+    family: 'sora',
+    kind: 'video',
+    label: 'Sora-2 (standard)',
+    hidden: true,
+    aliases: ['sora_2'],
+    inputs: ['text', 'image'],
+    durations: ['10', '15', '20'],
+    ratios: ['16:9', '9:16'],
+    resolutions: ['720p'],
+    upstream: { text: 'sora-2/text-to-video', image: 'sora-2/image-to-video' }
+  },
+  // Veo clips are always 8s; KIE renders 720p unless 1080p is fetched separately.
+  {
+    id: 'veo_3_1',
+    family: 'veo',
+    kind: 'video',
+    label: 'VEO 3.1',
+    aliases: ['veo3', 'veo3.1', 'veo-3.1'],
+    inputs: ['text', 'image', 'frames'],
+    durations: ['8'],
+    ratios: ['16:9', '9:16'],
+    resolutions: ['720p'],
+    upstream: { text: 'veo3', image: 'veo3', frames: 'veo3' }
+  },
+  {
+    id: 'veo_3_1-fast',
+    family: 'veo',
+    kind: 'video',
+    label: 'VEO 3.1 Fast',
+    aliases: ['veo3_fast', 'veo3.1-fast', 'veo-3.1-fast'],
+    inputs: ['text', 'image', 'frames', 'reference'],
+    durations: ['8'],
+    ratios: ['16:9', '9:16'],
+    resolutions: ['720p'],
+    upstream: { text: 'veo3_fast', image: 'veo3_fast', frames: 'veo3_fast', reference: 'veo3_fast' }
+  },
+  ...Object.entries(KLING_VERSIONS).map(([id, v]) => {
+    const inputs = ['text', 'image'].filter(kind => Object.values(v.models).some(m => m[kind]));
+    return {
+      id,
+      family: 'kling',
+      kind: 'video',
+      label: v.label,
+      inputs: v.tailModes.length ? [...inputs, 'frames'] : inputs,
+      durations: v.durations,
+      ratios: v.aspectRatios,
+      resolutions: [],
+      modes: Object.keys(v.models),
+      options: { sound: v.sound, negativePrompt: v.negativePrompt, cfgScale: v.cfgScale, tailModes: v.tailModes },
+      upstream: v.models
+    };
+  }),
+  {
+    id: 'gemini-2.5-flash-image',
+    family: 'gemini',
+    kind: 'image',
+    label: 'Gemini 2.5 Flash Image（量大管饱、便宜）',
+    inputs: ['text', 'image'],
+    durations: [],
+    ratios: GEMINI_IMAGE_RATIOS,
+    resolutions: [],
+    upstream: { text: 'kie-image:gemini-2.5-flash-image', image: 'kie-image:gemini-2.5-flash-image' }
+  },
+  {
+    id: 'gemini-3-pro-image-preview',
+    family: 'gemini',
+    kind: 'image',
+    label: 'Gemini 3 Pro Image Preview（贵、但精准）',
+    inputs: ['text', 'image'],
+    durations: [],
+    ratios: GEMINI_IMAGE_RATIOS,
+    resolutions: ['1024', '2048', '4096'],
+    upstream: { text: 'kie-image:gemini-3-pro-image-preview', image: 'kie-image:gemini-3-pro-image-preview' }
+  },
+  {
+    id: 'gemini-2.5-flash-lite-nothinking',
+    family: 'gemini',
+    kind: 'text',
+    label: 'Gemini 2.5 Flash Lite（提示词优化）',
+    hidden: true,
+    inputs: ['text', 'image'],
+    durations: [],
+    ratios: [],
+    resolutions: [],
+    upstream: { text: PROMPT_POLISH_MODEL, image: PROMPT_POLISH_MODEL }
+  }
+];
+
+// Registry entry for a model id or alias (case-insensitive), optionally within one family.
+function findModel(id, family) {
+  const name = String(id || '').trim().toLowerCase();
+  if (!name) return null;
+  return MODEL_REGISTRY.find(m =>
+    (!family || m.family === family) &&
+    (m.id.toLowerCase() === name || (m.aliases || []).some(a => a.toLowerCase() === name))) || null;
+}
+
+// Every id and alias a route accepts, for the request schemas' enums.
+function modelChoices(families, kind) {
+  return MODEL_REGISTRY
+    .filter(m => families.includes(m.family) && (!kind || m.kind === kind))
+    .flatMap(m => [m.id, ...(m.aliases || [])]);
+}
+
+// Pages send ratios as '16x9' (Sora / Veo) or '16:9'.
+function normalizeAspectRatio(value) {
+  const v = String(value || '').trim();
+  if (v.toLowerCase() === 'auto') return 'Auto';
+  const m = /^(\d+)\s*[x:×]\s*(\d+)$/i.exec(v);
+  return m ? `${m[1]}:${m[2]}` : v;
+}
+
+// Check duration / ratio / resolution against a registry entry. Empty values take the
+// model's default (the first listed); anything unsupported throws invalid_param, reported
+// on the request field named in `fields` (e.g. { duration: 'seconds' }).
+function resolveModelParams(model, { duration, ratio, resolution } = {}, fields = {}) {
+  const pick = (key, list, label, value) => {
+    const v = String(value ?? '').trim();
+    if (!v) return list[0];
+    if (!list.length || !list.includes(v)) {
+      throw fieldErrors([{ field: fields[key] || key, message: `${model.id} does not support ${label} ${v} (supported: ${list.join(', ') || 'none'})` }]);
+    }
+    return v;
+  };
+  return {
+    duration: pick('duration', model.durations, 'duration', duration),
+    ratio: pick('ratio', model.ratios, 'aspect ratio', ratio && normalizeAspectRatio(ratio)),
+    resolution: pick('resolution', model.resolutions, 'resolution', resolution)
+  };
+}
+
+// ------------------------------
+// Request schemas
+// ------------------------------
+//
+// What each compatibility route accepts, checked before anything is uploaded or sent to KIE
+// (validateBody) and rendered as the API reference at GET /api/docs. Failures answer 400
+// invalid_param in the route's usual shape with one { field, message } per problem in
+// `fields`. Fields not listed here are ignored. Model-specific limits (which durations /
+// ratios a model takes) are checked afterwards against the model registry.
+//   type      - string | integer | number | boolean | array | object | file | image
+//               (image: an uploaded file or a URL / data URL / base64 string); none = any
+//   required  - missing or blank is an error
+//   enum      - allowed values, matched case-insensitively (a function for registry lists)
+//   min / max - number range; length of strings and arrays; number of uploaded files
+//   format    - key of REQUEST_FORMATS
+//   items     - element spec of an array; fields - nested specs of an object
+//   default   - value used when the field is missing
+//   checks    - (per schema) rules across fields: { field, message, test(values) }
+
+const REQUEST_FORMATS = {
+  digits: { re: /^\d+$/, doc: 'a whole number' },
+  ratio: { re: /^(\d+\s*[x:×]\s*\d+|auto)$/i, doc: 'a ratio such as 16:9 or 16x9' },
+  resolution: { re: /^\d+p$/i, doc: 'a resolution such as 720p' },
+  size: { re: /^\d+x\d+$/, doc: 'WIDTHxHEIGHT, e.g. 1024x1024' },
+  url: { re: /^https?:\/\/\S+$/i, doc: 'an http(s) URL' },
+  base64: { re: /^[A-Za-z0-9+/=\s]+$/, doc: 'base64 data' },
+  image: { re: /^(https?:\/\/\S+|data:image\/[\w.+-]+;base64,[A-Za-z0-9+/=\s]+|[A-Za-z0-9+/=\s]+)$/i, doc: 'an image URL, data URL or base64' },
+  timestamps: { re: /^\s*\d+(\.\d+)?\s*,\s*\d+(\.\d+)?\s*$/, doc: '"start,end" in seconds, e.g. "0,3"' }
+};
+
+// Browsers send application/octet-stream for files whose type they cannot tell.
+const IMAGE_UPLOAD_TYPES = /^(image\/|application\/octet-stream$)/;
+
+const KLING_FIELDS = {
+  model_name: { type: 'string', enum: () => Object.keys(KLING_VERSIONS), doc: `Kling version (\`model\` is accepted too); default \`${DEFAULT_KLING_VERSION}\`` },
+  prompt: { type: 'string', max: 2500, doc: 'What should happen in the video' },
+  negative_prompt: { type: 'string', max: 2500, doc: 'What to avoid (not on kling-v2-6)' },
+  mode: { type: 'string', enum: ['std', 'pro'], doc: 'Defaults to the first mode the version has' },
+  aspect_ratio: { type: 'string', enum: ['16:9', '9:16', '1:1'], doc: 'Limited per version' },
+  duration: { type: 'string', format: 'digits', default: '5', doc: 'Seconds, limited per version' },
+  sound: { type: 'boolean', doc: 'Generate audio (kling-v2-6 only)' },
+  cfg_scale: { type: 'number', min: 0, max: 1, doc: 'Prompt adherence (not on kling-v2-6)' }
+};
+
+const GEMINI_INLINE_DATA = (mimeKey) => ({
+  type: 'object',
+  fields: {
+    [mimeKey]: { type: 'string', doc: 'Image MIME type' },
+    data: { type: 'string', required: true, format: 'base64', doc: 'Image bytes' }
+  }
+});
+
+const REQUEST_SCHEMAS = {
+  videos: {
+    method: 'POST',
+    path: '/v1/videos',
+    shape: 'error',
+    doc: 'Sora / Veo video task; multipart/form-data (for images) or JSON.',
+    fields: {
+      model: { type: 'string', required: true, enum: () => modelChoices(['sora', 'veo']), doc: 'Model id (see GET /api/models)' },
+      prompt: { type: 'string', required: true, max: 10000, doc: 'What should happen in the video' },
+      seconds: { type: 'string', format: 'digits', doc: 'Duration; defaults to the model default' },
+      size: { type: 'string', format: 'ratio', doc: 'Aspect ratio; defaults to the model default' },
+      resolution: { type: 'string', format: 'resolution', doc: 'Only when the model offers several' },
+      watermark: { type: 'boolean', doc: 'Accepted for compatibility, ignored' },
+      input_reference: { type: 'file', max: 3, doc: 'Image-to-video: the image (Sora, Veo), or 1-3 reference images (Veo Fast)' },
+      start_frame: { type: 'file', max: 1, doc: 'Veo first frame (with end_frame)' },
+      end_frame: { type: 'file', max: 1, doc: 'Veo last frame (with start_frame)' }
+    },
+    checks: [
+      { field: 'end_frame', message: 'must be sent together with start_frame', test: (v, files) => files.some(f => f.fieldname === 'start_frame') === files.some(f => f.fieldname === 'end_frame') }
+    ]
+  },
+  klingText: {
+    method: 'POST',
+    path: '/kling/v1/videos/text2video',
+    shape: 'message',
+    doc: 'Kling text-to-video; JSON.',
+    fields: {
+      ...KLING_FIELDS,
+      prompt: { ...KLING_FIELDS.prompt, required: true },
+      aspect_ratio: { ...KLING_FIELDS.aspect_ratio, default: '16:9' }
+    }
+  },
+  klingImage: {
+    method: 'POST',
+    path: '/kling/v1/videos/image2video',
+    shape: 'message',
+    doc: 'Kling image-to-video; JSON or multipart/form-data. Without aspect_ratio the video follows the image.',
+    fields: {
+      ...KLING_FIELDS,
+      image: { type: 'image', required: true, doc: 'First frame' },
+      image_tail: { type: 'image', doc: 'Last frame (kling-v2-5-turbo, kling-v2-1 pro)' }
+    }
+  },
+  soraCharacter: {
+    method: 'POST',
+    path: '/sora/v1/characters',
+    shape: 'error',
+    doc: 'Create a Sora character from a clip of a video; JSON.',
+    fields: {
+      url: { type: 'string', required: true, format: 'url', doc: 'Source video' },
+      timestamps: { type: 'string', required: true, format: 'timestamps', doc: 'A 1-3 second window' },
+      note: { type: 'string', max: 1000, doc: 'Character description' }
+    }
+  },
+  geminiGenerate: {
+    method: 'POST',
+    path: '/v1beta/models/{model}:generateContent',
+    shape: 'error',
+    doc: 'Gemini-style image generation / editing, or prompt polishing for text models; JSON. {model} is an id from GET /api/models?family=gemini.',
+    fields: {
+      contents: {
+        type: 'array',
+        required: true,
+        min: 1,
+        items: {
+          type: 'object',
+          fields: {
+            role: { type: 'string', enum: ['user', 'model'] },
+            parts: {
+              type: 'array',
+              required: true,
+              min: 1,
+              items: {
+                type: 'object',
+                fields: {
+                  text: { type: 'string', doc: 'Prompt text' },
+                  inline_data: GEMINI_INLINE_DATA('mime_type'),
+                  inlineData: GEMINI_INLINE_DATA('mimeType')
+                }
+              }
+            }
+          }
+        }
+      },
+      generationConfig: {
+        type: 'object',
+        fields: {
+          responseModalities: { type: 'array', items: { type: 'string', enum: ['TEXT', 'IMAGE'] }, doc: 'Include IMAGE to generate images' },
+          candidateCount: { type: 'integer', min: 1, max: 4, default: 1, doc: 'Images to generate' },
+          imageSize: { type: 'string', format: 'size', default: '1024x1024' },
+          imageConfig: {
+            type: 'object',
+            fields: {
+              aspectRatio: { type: 'string', format: 'ratio', doc: 'Limited per model' },
+              targetResolution: { type: 'integer', doc: 'Limited per model' }
+            }
+          },
+          temperature: { type: 'number', min: 0, max: 2, doc: 'Prompt polishing only' },
+          maxOutputTokens: { type: 'integer', min: 1, doc: 'Prompt polishing only' }
+        }
+      },
+      systemInstruction: {
+        type: 'object',
+        doc: 'Prompt polishing only; sent to the chat model as the system message',
+        fields: {
+          parts: { type: 'array', required: true, min: 1, items: { type: 'object', fields: { text: { type: 'string' } } } }
+        }
+      }
+    },
+    checks: [
+      {
+        field: 'contents',
+        message: 'must include a text part or an inline image',
+        test: (v) => v.contents.some(c => c.parts.some(p => p.text || p.inline_data || p.inlineData))
+      }
+    ]
+  },
+  chat: {
+    method: 'POST',
+    path: '/v1/chat/completions',
+    shape: 'error',
+    doc: 'OpenAI-compatible chat, forwarded to KIE as sent; JSON.',
+    fields: {
+      model: { type: 'string', required: true },
+      messages: {
+        type: 'array',
+        required: true,
+        min: 1,
+        items: {
+          type: 'object',
+          fields: {
+            role: { type: 'string', required: true, enum: ['system', 'developer', 'user', 'assistant', 'tool', 'function'] },
+            content: { doc: 'Text or an array of content parts; may be null on an assistant message with tool_calls' },
+            tool_calls: { type: 'array' },
+            function_call: { type: 'object', fields: {} }
+          }
+        }
+      },
+      stream: { type: 'boolean' },
+      max_tokens: { type: 'integer', min: 1 },
+      temperature: { type: 'number', min: 0, max: 2 }
+    },
+    checks: [
+      {
+        field: 'messages',
+        message: 'need content unless they carry tool_calls or function_call',
+        test: (v) => v.messages.every(m => !isBlank(m.content) || m.tool_calls || m.function_call)
+      }
+    ]
+  }
+};
+
+REQUEST_SCHEMAS.geminiStream = {
+  ...REQUEST_SCHEMAS.geminiGenerate,
+  path: '/v1beta/models/{model}:streamGenerateContent',
+  doc: 'Streaming generateContent (?alt=sse for server-sent events, otherwise a streamed JSON array); same body.'
+};
+
+function fieldErrors(errors) {
+  const err = apiError('invalid_param', errors.map(e => e.message).join('; '), { showDetail: true });
+  err.fields = errors;
+  return err;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && !value.trim());
+}
+
+function rangeText(spec, unit = '') {
+  if (spec.min !== undefined && spec.max !== undefined) return `between ${spec.min} and ${spec.max}${unit}`;
+  return spec.min !== undefined ? `at least ${spec.min}${unit}` : `at most ${spec.max}${unit}`;
+}
+
+function outOfRange(spec, n) {
+  return (spec.min !== undefined && n < spec.min) || (spec.max !== undefined && n > spec.max);
+}
+
+// Check one value against its spec; pushes { field, message } into `errors` and returns the
+// normalized value (trimmed strings, numbers and booleans from multipart text, enum casing).
+function validateValue(spec, raw, path, errors) {
+  if (isBlank(raw)) {
+    if (spec.required) errors.push({ field: path, message: `${path} is required` });
+    return spec.default;
+  }
+  const fail = (message) => {
+    errors.push({ field: path, message: `${path} ${message}` });
+    return undefined;
+  };
+
+  switch (spec.type) {
+    case 'string':
+    case 'image': {
+      if (typeof raw !== 'string' && typeof raw !== 'number') return fail('must be a string');
+      const v = String(raw).trim();
+      if ((spec.min !== undefined || spec.max !== undefined) && outOfRange(spec, v.length)) return fail(`must be ${rangeText(spec, ' characters')}`);
+      const format = REQUEST_FORMATS[spec.type === 'image' ? 'image' : spec.format];
+      if (format && !format.re.test(v)) return fail(`must be ${format.doc}`);
+      if (spec.enum) {
+        const choices = typeof spec.enum === 'function' ? spec.enum() : spec.enum;
+        const match = choices.find(c => c.toLowerCase() === v.toLowerCase());
+        if (!match) return fail(`must be one of: ${choices.join(', ')}`);
+        return match;
+      }
+      return v;
+    }
+    case 'integer':
+    case 'number': {
+      const n = typeof raw === 'string' ? Number(raw.trim()) : raw;
+      if (typeof n !== 'number' || !Number.isFinite(n)) return fail(`must be a number`);
+      if (spec.type === 'integer' && !Number.isInteger(n)) return fail('must be a whole number');
+      if (outOfRange(spec, n)) return fail(`must be ${rangeText(spec)}`);
+      return n;
+    }
+    case 'boolean':
+      if (raw === true || raw === 'true') return true;
+      if (raw === false || raw === 'false') return false;
+      return fail('must be true or false');
+    case 'array':
+      if (!Array.isArray(raw)) return fail('must be an array');
+      if (outOfRange(spec, raw.length)) return fail(`must have ${rangeText(spec, ' items')}`);
+      return spec.items ? raw.map((item, i) => validateValue(spec.items, item, `${path}[${i}]`, errors)) : raw;
+    case 'object':
+      if (typeof raw !== 'object' || Array.isArray(raw)) return fail('must be an object');
+      return validateFields(spec.fields, raw, `${path}.`, errors, []);
+    default:
+      return raw;
+  }
+}
+
+function validateFields(fields, source, prefix, errors, files) {
+  const out = {};
+  for (const [name, spec] of Object.entries(fields)) {
+    const path = prefix + name;
+    if (spec.type === 'file' || spec.type === 'image') {
+      const uploads = files.filter(f => f.fieldname === name);
+      if (uploads.length) {
+        if (spec.max !== undefined && uploads.length > spec.max) errors.push({ field: path, message: `${path} accepts at most ${spec.max} file(s)` });
+        const bad = uploads.find(f => !IMAGE_UPLOAD_TYPES.test(f.mimetype || ''));
+        if (bad) errors.push({ field: path, message: `${path} must be an image (got ${bad.mimetype || 'unknown type'})` });
+        continue;
+      }
+      if (spec.type === 'file') {
+        if (spec.required) errors.push({ field: path, message: `${path} is required` });
+        continue;
+      }
+    }
+    const value = validateValue(spec, source?.[name], path, errors);
+    if (value !== undefined) out[name] = value;
+  }
+  return out;
+}
+
+// Returns the normalized fields of the request, or throws invalid_param listing every problem.
+function validateRequest(schema, req) {
+  const errors = [];
+  const files = Array.isArray(req.files) ? req.files : [];
+  const values = validateFields(schema.fields, req.body || {}, '', errors, files);
+  if (!errors.length) {
+    for (const check of schema.checks || []) {
+      if (!check.test(values, files)) errors.push({ field: check.field, message: `${check.field} ${check.message}` });
+    }
+  }
+  if (errors.length) throw fieldErrors(errors);
+  return values;
+}
+
+// Route middleware: validated fields end up in req.valid.
+function validateBody(name) {
+  const schema = REQUEST_SCHEMAS[name];
+  return (req, res, next) => {
+    try {
+      req.valid = validateRequest(schema, req);
+    } catch (err) {
+      return sendError(res, err, schema.shape);
+    }
+    return next();
+  };
+}
+
+// ---- API reference (GET /api/docs) ----
+
+function specRules(spec) {
+  const rules = [];
+  if (spec.enum) rules.push(`one of: ${(typeof spec.enum === 'function' ? spec.enum() : spec.enum).map(v => `\`${v}\``).join(', ')}`);
+  if (spec.format || spec.type === 'image') rules.push(REQUEST_FORMATS[spec.type === 'image' ? 'image' : spec.format].doc);
+  if (spec.min !== undefined || spec.max !== undefined) {
+    const unit = { string: ' characters', array: ' items', file: ' file(s)', image: ' characters' }[spec.type] || '';
+    rules.push(rangeText(spec, unit));
+  }
+  if (spec.type === 'file' || spec.type === 'image') rules.push('image upload');
+  if (spec.type === 'array' && spec.items && spec.items.type !== 'object') {
+    const itemRules = specRules(spec.items);
+    if (itemRules.length) rules.push(`each item ${itemRules.join(', ')}`);
+  }
+  if (spec.default !== undefined) rules.push(`default \`${spec.default}\``);
+  return rules;
+}
+
+// Flatten nested specs into rows: contents[].parts[].text, generationConfig.candidateCount ...
+function schemaRows(fields, prefix = '') {
+  const rows = [];
+  for (const [name, spec] of Object.entries(fields)) {
+    const path = prefix + name;
+    rows.push({ field: path, type: spec.type || 'any', required: Boolean(spec.required), rules: specRules(spec), doc: spec.doc || '' });
+    if (spec.type === 'object') rows.push(...schemaRows(spec.fields, `${path}.`));
+    if (spec.type === 'array' && spec.items?.type === 'object') rows.push(...schemaRows(spec.items.fields, `${path}[].`));
+  }
+  return rows;
 }
 
-// ------------------------------
-// In-memory usage logs (per APIKey hash)
-// ------------------------------
-
-const usageLogs = new Map(); // keyHash -> Array<log>
+const ERROR_SHAPE_DOCS = {
+  error: '`{ error, code, message, detail, fields }`',
+  message: '`{ message, code, detail, fields }`'
+};
+
+function apiDocs() {
+  return Object.values(REQUEST_SCHEMAS).map(schema => ({
+    method: schema.method,
+    path: schema.path,
+    doc: schema.doc,
+    errorShape: ERROR_SHAPE_DOCS[schema.shape],
+    fields: schemaRows(schema.fields),
+    checks: (schema.checks || []).map(c => `${c.field} ${c.message}`)
+  }));
+}
 
-function pushUsageLog(apiKey, log) {
-  if (!apiKey) return;
-  const keyHash = sha256Short(apiKey);
-  const arr = usageLogs.get(keyHash) || [];
-  arr.unshift(log);
-  // Keep last 2000 logs per key
-  if (arr.length > 2000) arr.length = 2000;
-  usageLogs.set(keyHash, arr);
+function apiDocsMarkdown() {
+  const lines = [
+    '# Kenwei AIGC API',
+    '',
+    'Generated from the request schemas in server.js. Invalid requests get HTTP 400 with `code: "invalid_param"` and one `{ field, message }` per problem in `fields`.'
+  ];
+  for (const route of apiDocs()) {
+    lines.push('', `## ${route.method} ${route.path}`, '', route.doc, '', `Errors: ${route.errorShape}`, '');
+    lines.push('| Field | Type | Required | Rules | Description |', '| --- | --- | --- | --- | --- |');
+    for (const row of route.fields) {
+      lines.push(`| \`${row.field}\` | ${row.type} | ${row.required ? 'yes' : ''} | ${row.rules.join('; ')} | ${row.doc} |`);
+    }
+    if (route.checks.length) lines.push('', ...route.checks.map(c => `- ${c}`));
+  }
+  return lines.join('\n') + '\n';
 }
 
 // ------------------------------
@@ -163,29 +2901,29 @@ async function kieUploadBuffer(apiKey, buffer, filename, mimeType) {
   const mime = mimeType || detectImageMime(buffer);
   const name = filename || `upload.${extFromMime(mime)}`;
 
-  // Try a few common upload endpoints for resiliency.
-  const candidates = [
-    `${KIE_API_BASE}/api/v1/files/upload`,
-    `${KIE_API_BASE}/api/v1/file/upload`,
-    `${KIE_API_BASE}/api/v1/upload`,
-  ];
-
   const blob = new Blob([buffer], { type: mime });
-  for (const url of candidates) {
+  let failure = null; // last answer from an endpoint that exists (not 404/405)
+  for (const candidate of endpointCandidates('upload')) {
+    const { url } = candidate;
     try {
       const form = new FormData();
       form.append('file', blob, name);
 
-      const { ok, status, json } = await fetchJson(url, {
+      // Repeating an upload at worst leaves an unused copy on KIE, so it is retried like a read.
+      const { ok, status, json } = await limitUpstream('upload', apiKey, () => fetchJson(url, {
         method: 'POST',
         headers: {
           Authorization: `Bearer ${apiKey}`,
           Accept: 'application/json'
         },
-        body: form
-      });
+        body: form,
+        retry: true
+      }));
 
-      if (!ok) continue;
+      if (!ok) {
+        if (status !== 404 && status !== 405) failure = kieError('KIE file upload', status, json);
+        continue;
+      }
 
       // Flexible extraction
       const data = json?.data ?? json;
@@ -199,89 +2937,138 @@ async function kieUploadBuffer(apiKey, buffer, filename, mimeType) {
         data?.result_url;
 
       if (fileUrl && typeof fileUrl === 'string') {
+        rememberEndpoint('upload', candidate);
+        incMetric('kenwei_upload_bytes_total', { target: 'kie' }, buffer.length);
         return fileUrl;
       }
-    } catch {
+    } catch (err) {
+      if (err.status === 503) throw err; // queue timeout or open circuit: the next candidate fails the same way
       // try next
     }
   }
 
-  throw new Error('KIE file upload failed (unknown upload endpoint/response). You may need to set KIE_API_BASE or update upload endpoint candidates.');
+  throw failure || apiError('upstream_error', 'KIE file upload failed (unknown upload endpoint/response). You may need to set KIE_API_BASE or KIE_UPLOAD_URL.');
 }
 
-function mapAspectRatio(sizeOrRatio) {
-  const v = String(sizeOrRatio || '').trim();
-  if (!v) return '16:9';
-  if (v === '16:9' || v === '9:16' || v === '1:1' || v === '4:3' || v === '3:4') return v;
-  // Some pages use 'Auto'
-  if (v.toLowerCase() === 'auto') return 'Auto';
-  // Fallback
-  return '16:9';
-}
+// Resolve a Kling page request into { model, input, version } for kieCreateTask.
+// kind: 'text' | 'image'. Types and ranges are already checked by the klingText /
+// klingImage schemas; this rejects what the chosen version does not support (invalid_param
+// on the offending field).
+function resolveKlingRequest(body, kind) {
+  const reject = (field, message) => { throw fieldErrors([{ field, message }]); };
+  const chosenVersion = body.model_name || body.model;
+  const versionName = String(chosenVersion || DEFAULT_KLING_VERSION).trim();
+  const version = KLING_VERSIONS[versionName];
+  if (!version) {
+    reject('model_name', `Unsupported Kling model_name: ${versionName} (supported: ${Object.keys(KLING_VERSIONS).join(', ')})`);
+  }
 
-function isVeoModel(model) {
-  const m = String(model || '').toLowerCase();
-  return m.includes('veo');
-}
+  const modes = Object.keys(version.models).filter(m => version.models[m][kind]);
+  if (!modes.length) {
+    reject('model_name', `${versionName} does not support ${kind === 'text' ? 'text-to-video' : 'image-to-video'}`);
+  }
+  const mode = String(body.mode || '').trim() || modes[0];
+  if (!modes.includes(mode)) {
+    reject('mode', `${versionName} does not support mode "${mode}" (supported: ${modes.join(', ')})`);
+  }
 
-function isSoraModel(model) {
-  const m = String(model || '').toLowerCase();
-  return m.includes('sora');
-}
+  const duration = String(body.duration || '5');
+  if (!version.durations.includes(duration)) {
+    reject('duration', `${versionName} does not support duration ${duration}s (supported: ${version.durations.join(', ')})`);
+  }
 
-function isKlingModel(model) {
-  const m = String(model || '').toLowerCase();
-  return m.includes('kling');
-}
+  const input = { prompt: String(body.prompt || '').trim(), duration };
+
+  // Text-to-video always needs a ratio. Image-to-video follows the image unless one is given,
+  // except for clients that pick no version, which have always been sent 16:9.
+  const ratio = String(body.aspect_ratio || '').trim() || (kind === 'text' || !chosenVersion ? '16:9' : '');
+  if (ratio) {
+    if (!version.aspectRatios.includes(ratio)) {
+      reject('aspect_ratio', `${versionName} does not support aspect_ratio ${ratio} (supported: ${version.aspectRatios.join(', ')})`);
+    }
+    input.aspect_ratio = ratio;
+  }
+
+  const sound = body.sound === true || body.sound === 'true';
+  if (version.sound) {
+    input.sound = sound;
+  } else if (sound) {
+    reject('sound', `${versionName} does not support sound`);
+  }
+
+  const negativePrompt = String(body.negative_prompt || '').trim();
+  if (negativePrompt) {
+    if (!version.negativePrompt) reject('negative_prompt', `${versionName} does not support negative_prompt`);
+    input.negative_prompt = negativePrompt;
+  }
+
+  if (body.cfg_scale !== undefined && body.cfg_scale !== null && body.cfg_scale !== '') {
+    if (!version.cfgScale) reject('cfg_scale', `${versionName} does not support cfg_scale`);
+    input.cfg_scale = Number(body.cfg_scale);
+  }
 
-function mapSoraMarketModel(model, isImageToVideo) {
-  const m = String(model || '').toLowerCase();
-  const kind = isImageToVideo ? 'image-to-video' : 'text-to-video';
+  return { model: version.models[mode][kind], input, version, versionName, mode };
+}
 
-  if (m === 'sora-2-pro' || m === 'sora_2_pro' || m.includes('pro')) return `sora-2-pro/${kind}`;
-  if (m === 'sora-2-all' || m === 'sora_2_all' || m.includes('all')) return `sora-2-pro/${kind}`;
-  return `sora-2/${kind}`;
+// Turn a Kling image input into a URL KIE can fetch. Accepts, in order of preference:
+// a multipart file, an http(s) URL (passed through), a data: URL or bare base64.
+// Returns null when nothing was provided.
+async function resolveKlingImageUrl(apiKey, value, file, name) {
+  if (file) {
+    return kieUploadBuffer(apiKey, file.buffer, file.originalname || `${name}.${extFromMime(file.mimetype)}`, file.mimetype);
+  }
+  const v = String(value || '').trim();
+  if (!v) return null;
+  if (/^https?:\/\//i.test(v)) return v;
+
+  const m = /^data:([^;]+);base64,(.+)$/.exec(v);
+  const buffer = Buffer.from(m ? m[2] : v, 'base64');
+  if (!buffer.length) return null;
+  const mime = m ? m[1] : detectImageMime(buffer);
+  return kieUploadBuffer(apiKey, buffer, `${name}.${extFromMime(mime)}`, mime);
 }
 
-async function kieCreateTask(apiKey, model, input) {
+async function kieCreateTask(apiKey, model, input, callBackUrl) {
   const url = `${KIE_API_BASE}/api/v1/jobs/createTask`;
-  const { ok, status, json } = await fetchJson(url, {
+  annotateRequest({ model });
+  const { ok, status, json } = await limitUpstream('create', apiKey, () => fetchJson(url, {
     method: 'POST',
     headers: {
       Authorization: `Bearer ${apiKey}`,
       'Content-Type': 'application/json',
       Accept: 'application/json'
     },
-    body: JSON.stringify({ model, input })
-  });
+    body: JSON.stringify({ model, input, ...(callBackUrl ? { callBackUrl } : {}) })
+  }));
   if (!ok) {
-    throw new Error(`KIE createTask failed (${status}): ${JSON.stringify(json)}`);
+    throw kieError('KIE createTask', status, json);
   }
   const taskId = json?.data?.taskId || json?.data?.task_id || json?.taskId || json?.task_id;
   if (!taskId) {
-    throw new Error(`KIE createTask: missing taskId: ${JSON.stringify(json)}`);
+    throw kieError('KIE createTask', json?.code || status, json);
   }
   return taskId;
 }
 
 async function kieRecordInfo(apiKey, taskId) {
   const url = `${KIE_API_BASE}/api/v1/jobs/recordInfo?taskId=${encodeURIComponent(taskId)}`;
-  const { ok, status, json } = await fetchJson(url, {
+  const { ok, status, json } = await limitUpstream('poll', apiKey, () => fetchJson(url, {
     method: 'GET',
     headers: {
       Authorization: `Bearer ${apiKey}`,
       Accept: 'application/json'
     }
-  });
+  }));
   if (!ok) {
-    throw new Error(`KIE recordInfo failed (${status}): ${JSON.stringify(json)}`);
+    throw kieError('KIE recordInfo', status, json);
   }
   return json;
 }
 
 async function kieVeoGenerate(apiKey, body) {
   const url = `${KIE_API_BASE}/api/v1/veo/generate`;
-  const { ok, status, json } = await fetchJson(url, {
+  annotateRequest({ model: body?.model });
+  const { ok, status, json } = await limitUpstream('create', apiKey, () => fetchJson(url, {
     method: 'POST',
     headers: {
       Authorization: `Bearer ${apiKey}`,
@@ -289,67 +3076,194 @@ async function kieVeoGenerate(apiKey, body) {
       Accept: 'application/json'
     },
     body: JSON.stringify(body)
-  });
+  }));
   if (!ok) {
-    throw new Error(`KIE Veo generate failed (${status}): ${JSON.stringify(json)}`);
+    throw kieError('KIE Veo generate', status, json);
   }
   const taskId = json?.data?.taskId || json?.data?.task_id || json?.taskId || json?.task_id;
-  if (!taskId) throw new Error(`KIE Veo: missing taskId: ${JSON.stringify(json)}`);
+  if (!taskId) throw kieError('KIE Veo generate', json?.code || status, json);
   return taskId;
 }
 
+// Veo generation types accepted by /api/v1/veo/generate.
+const VEO_GENERATION_TYPES = {
+  text: 'TEXT_2_VIDEO',
+  reference: 'REFERENCE_2_VIDEO',
+  firstLast: 'FIRST_AND_LAST_FRAMES_2_VIDEO'
+};
+
+// Decide the Veo generation type from the multipart fields the pages send:
+//  - start_frame + end_frame (veoswz.html)  -> first-and-last frame
+//  - input_reference (veotssp.html)         -> reference images on models with the
+//    `reference` input (Fast); others have no reference mode, so a single image is
+//    used as the opening frame
+//  - no files                               -> text-to-video
+// `input` is the registry input kind, used to pick the KIE model.
+// Throws with a user-facing message when the frame count does not fit the type.
+function planVeoGeneration(model, aspectRatio, files) {
+  const list = Array.isArray(files) ? files : [];
+  const byField = (name) => list.filter(f => f.fieldname === name);
+  const starts = byField('start_frame');
+  const ends = byField('end_frame');
+  const refs = byField('input_reference');
+  const unknown = list.filter(f => !['start_frame', 'end_frame', 'input_reference'].includes(f.fieldname));
+
+  if (unknown.length) {
+    throw new Error(`Unsupported file field for Veo: ${unknown.map(f => f.fieldname).join(', ')}`);
+  }
+  if ((starts.length || ends.length) && refs.length) {
+    throw new Error('Veo: send either start_frame/end_frame or input_reference, not both');
+  }
+
+  if (starts.length || ends.length) {
+    if (starts.length !== 1 || ends.length !== 1) {
+      throw new Error(`Veo first/last frame mode needs exactly one start_frame and one end_frame (got ${starts.length} and ${ends.length})`);
+    }
+    return { generationType: VEO_GENERATION_TYPES.firstLast, files: [starts[0], ends[0]], input: 'frames' };
+  }
+
+  if (refs.length) {
+    if (model.inputs.includes('reference')) {
+      if (refs.length > 3) throw new Error(`Veo reference mode accepts 1-3 input_reference images (got ${refs.length})`);
+      if (aspectRatio !== '16:9') throw new Error('Veo reference mode only supports 16:9');
+      return { generationType: VEO_GENERATION_TYPES.reference, files: refs, input: 'reference' };
+    }
+    if (refs.length !== 1) {
+      throw new Error(`${model.label} image-to-video accepts exactly one input_reference image (got ${refs.length}); use a model with reference mode for multiple reference images`);
+    }
+    return { generationType: VEO_GENERATION_TYPES.firstLast, files: refs, input: 'image' };
+  }
+
+  return { generationType: VEO_GENERATION_TYPES.text, files: [], input: 'text' };
+}
+
 async function kieVeoRecordInfo(apiKey, taskId) {
   const url = `${KIE_API_BASE}/api/v1/veo/record-info?taskId=${encodeURIComponent(taskId)}`;
-  const { ok, status, json } = await fetchJson(url, {
+  const { ok, status, json } = await limitUpstream('poll', apiKey, () => fetchJson(url, {
     method: 'GET',
     headers: {
       Authorization: `Bearer ${apiKey}`,
       Accept: 'application/json'
     }
-  });
-  if (!ok) throw new Error(`KIE Veo record-info failed (${status}): ${JSON.stringify(json)}`);
+  }));
+  if (!ok) throw kieError('KIE Veo record-info', status, json);
   return json;
 }
 
 // --- Image generation (best-effort) ---
 // The KIE docs expose dedicated endpoints for "GPT Image" and other image models.
-// To keep this project resilient to endpoint naming differences, we try a few candidates.
+// To keep this project resilient to endpoint naming differences, we try a few candidates
+// (see "Endpoint discovery").
+// Creating a job is not idempotent, so only a 404/405 ("no such endpoint") moves on to the
+// next candidate. Any other answer, a timeout or a network error may already have started a
+// billed job, and trying another endpoint could start a second one.
 async function kieImageGenerate(apiKey, body) {
-  const candidates = [
-    { gen: `${KIE_API_BASE}/api/v1/gpt-image/generate`, rec: `${KIE_API_BASE}/api/v1/gpt-image/record-info` },
-    { gen: `${KIE_API_BASE}/api/v1/gpt-image/generate`, rec: `${KIE_API_BASE}/api/v1/gpt-image/recordInfo` },
-    { gen: `${KIE_API_BASE}/api/v1/image/generate`, rec: `${KIE_API_BASE}/api/v1/image/record-info` },
-    { gen: `${KIE_API_BASE}/api/v1/images/generate`, rec: `${KIE_API_BASE}/api/v1/images/record-info` },
-  ];
+  annotateRequest({ model: body?.model });
+  for (const c of endpointCandidates('imageGenerate')) {
+    const { ok, status, json } = await limitUpstream('create', apiKey, () => fetchJson(c.url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+        Accept: 'application/json'
+      },
+      body: JSON.stringify(body)
+    }));
+    if (status === 404 || status === 405) continue;
+    if (!ok) throw kieError('KIE image generate', status, json);
+    const taskId = json?.data?.taskId || json?.data?.task_id || json?.taskId || json?.task_id;
+    if (!taskId) throw kieError('KIE image generate', json?.code || status, json);
+    rememberEndpoint('imageGenerate', c);
+    return { taskId, recordBase: c.recordUrl };
+  }
+  throw apiError('upstream_error', 'KIE image generate failed (no image endpoint found).');
+}
 
-  for (const c of candidates) {
+// --- Chat completion (streaming) ---
+// Sends the body as-is and returns the first answer that is not a 404 as
+// { resp, cancel }; the caller reads or pipes resp.body and calls cancel() when done.
+// Network errors move on to the next candidate. Not queued: a stream holds its slot for
+// as long as the model writes.
+async function openKieChatStream(apiKey, body, outerSignal) {
+  const bodyStr = JSON.stringify(body);
+  const requestId = requestContext.getStore()?.id;
+  for (const candidate of endpointCandidates('chat')) {
+    const { signal, cancel } = withTimeout(outerSignal, FETCH_TIMEOUT_MS);
     try {
-      const { ok, status, json } = await fetchJson(c.gen, {
+      const startedAt = Date.now();
+      const resp = await fetch(candidate.url, {
         method: 'POST',
         headers: {
           Authorization: `Bearer ${apiKey}`,
           'Content-Type': 'application/json',
-          Accept: 'application/json'
+          Accept: 'text/event-stream, application/json',
+          ...(requestId ? { 'X-Request-Id': requestId } : {})
         },
-        body: JSON.stringify(body)
+        body: bodyStr,
+        signal
       });
-      if (!ok) continue;
-      const taskId = json?.data?.taskId || json?.data?.task_id || json?.taskId || json?.task_id;
-      if (taskId) return { taskId, recordBase: c.rec };
-    } catch {
+      noteUpstreamCall(candidate.url, 'POST', resp.status, Date.now() - startedAt, 1);
+      if (resp.status === 404) {
+        cancel();
+        continue;
+      }
+      if (resp.ok) rememberEndpoint('chat', candidate);
+      return { resp, cancel };
+    } catch (err) {
+      cancel();
+      if (outerSignal?.aborted) throw err;
+      // try next upstream candidate
+    }
+  }
+  throw apiError('upstream_unavailable', 'Chat endpoint is not available on this KIE base. If KIE provides OpenAI-compatible chat, set KIE_CHAT_URL (or KIE_API_BASE) to that host/path.');
+}
+
+// --- Chat completion (non-streaming) ---
+// Used by server-side features such as prompt polishing; /v1/chat/completions pipes the
+// upstream response itself. Returns { text, usage } where usage is KIE's OpenAI-style block.
+async function kieChatComplete(apiKey, body) {
+  annotateRequest({ model: body?.model });
+  let failure = null; // last answer from an endpoint that exists (not 404/405)
+  for (const c of endpointCandidates('chat')) {
+    try {
+      const { ok, status, json } = await limitUpstream('create', apiKey, () => fetchJson(c.url, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          'Content-Type': 'application/json',
+          Accept: 'application/json'
+        },
+        body: JSON.stringify({ ...body, stream: false })
+      }));
+      if (!ok) {
+        if (status !== 404 && status !== 405) failure = kieError('KIE chat', status, json);
+        continue;
+      }
+      const message = json?.choices?.[0]?.message;
+      if (!message) {
+        failure = kieError('KIE chat', json?.code || status, json);
+        continue;
+      }
+      rememberEndpoint('chat', c);
+      const content = Array.isArray(message.content)
+        ? message.content.map(p => (typeof p === 'string' ? p : p?.text || '')).join('')
+        : String(message.content || '');
+      return { text: content.trim(), usage: json.usage || null };
+    } catch (err) {
+      if (err.status === 503) throw err; // queue timeout or open circuit: the next candidate fails the same way
       // try next
     }
   }
-  throw new Error('KIE image generate failed (unknown endpoint/response).');
+  throw failure || apiError('upstream_unavailable', 'KIE chat endpoint is not available on this KIE base.');
 }
 
 async function kieImageRecordInfo(apiKey, recordBase, taskId) {
   const url = `${recordBase}?taskId=${encodeURIComponent(taskId)}`;
-  const { ok, status, json } = await fetchJson(url, {
+  const { ok, status, json } = await limitUpstream('poll', apiKey, () => fetchJson(url, {
     method: 'GET',
     headers: { Authorization: `Bearer ${apiKey}`, Accept: 'application/json' }
-  });
-  if (!ok) throw new Error(`KIE image record-info failed (${status}): ${JSON.stringify(json)}`);
+  }));
+  if (!ok) throw kieError('KIE image record-info', status, json);
   return json;
 }
 
@@ -359,21 +3273,19 @@ async function waitForKieImageResult(apiKey, recordBase, taskId) {
     const json = await kieImageRecordInfo(apiKey, recordBase, taskId);
     const status = normalizeKieStatusToSimple(json);
     if (status === 'completed') {
-      const data = json?.data ?? {};
-      const response = data?.response ?? {};
-      const urls = response?.resultUrls || response?.result_urls || [];
-      if (Array.isArray(urls) && urls.length) return urls;
-      const first = extractFirstResultUrl(json);
-      if (first) return [first];
-      return [];
+      const urls = extractResultUrls(json);
+      recordTaskStatus(taskId, { status, resultUrls: urls });
+      return urls;
     }
     if (status === 'failed') {
       const data = json?.data ?? {};
-      throw new Error(data?.errorMessage || data?.message || json?.msg || 'image generation failed');
+      const error = data?.errorMessage || data?.message || json?.msg || 'image generation failed';
+      recordTaskStatus(taskId, { status, error });
+      throw apiError(taskFailureCode(error), error);
     }
     await new Promise(r => setTimeout(r, IMAGE_SYNC_POLL_MS));
   }
-  throw new Error('Image generation timed out');
+  throw apiError('upstream_timeout', 'Image generation timed out');
 }
 
 function normalizeKieStatusToSimple(json) {
@@ -392,9 +3304,15 @@ function normalizeKieStatusToSimple(json) {
   return 'processing';
 }
 
-function extractFirstResultUrl(json) {
+function extractResultUrls(json) {
   const data = json?.data ?? json;
-  const response = data?.response ?? data?.result ?? {};
+  let response = data?.response ?? data?.result ?? {};
+  // Market jobs return the result as a JSON string in resultJson
+  if (data?.resultJson) {
+    try {
+      response = typeof data.resultJson === 'string' ? JSON.parse(data.resultJson) : data.resultJson;
+    } catch { /* keep response */ }
+  }
   const urls =
     response?.resultUrls ||
     response?.result_urls ||
@@ -404,14 +3322,219 @@ function extractFirstResultUrl(json) {
     data?.urls ||
     [];
 
-  if (Array.isArray(urls) && urls.length) return urls[0];
+  if (Array.isArray(urls) && urls.length) return urls.filter(u => typeof u === 'string');
 
   // Some providers return nested task_result
   const taskResult = data?.task_result || data?.taskResult;
   const maybe = taskResult?.videos?.[0]?.url || taskResult?.images?.[0]?.url;
-  if (maybe) return maybe;
+  if (maybe) return [maybe];
+
+  const single = data?.video_url || data?.url;
+  return single ? [single] : [];
+}
+
+function extractFirstResultUrl(json) {
+  return extractResultUrls(json)[0] || null;
+}
+
+function extractKieError(json) {
+  const data = json?.data ?? {};
+  return data?.failMsg || data?.errorMessage || data?.message || json?.msg || 'generation failed';
+}
+
+// Which KIE record endpoint owns a task: the registry knows; otherwise fall back to
+// the id shape (Veo ids look like veo_task_xxx).
+function kieUpstreamForTask(taskId) {
+  const task = findTask(taskId);
+  if (task?.upstream) return task;
+  return { upstream: String(taskId).toLowerCase().startsWith('veo') ? 'veo' : 'market' };
+}
+
+// A market / image record-info answer as { status, resultUrls, error, progress }.
+function recordInfoState(json) {
+  const status = normalizeKieStatusToSimple(json);
+  const data = json?.data ?? {};
+  if (status === 'completed') return { status, resultUrls: extractResultUrls(json), progress: 1, credits: extractKieCredits(json) };
+  if (status === 'failed') return { status, error: extractKieError(json) };
+  return { status, progress: typeof data?.progress === 'number' ? data.progress : 0 };
+}
+
+// Ask KIE for a task and normalize the answer to { status, resultUrls, error, progress }.
+// The result is also written to the task registry when the key owns the task.
+async function fetchKieTaskState(apiKey, taskId) {
+  const { upstream, recordBase, model } = kieUpstreamForTask(taskId);
+  annotateRequest({ model });
+  let state;
+
+  if (upstream === 'veo') {
+    const json = await kieVeoRecordInfo(apiKey, taskId);
+    const data = json?.data ?? {};
+    const sf = data?.successFlag;
+    if (sf === 1) state = { status: 'completed', resultUrls: data?.response?.resultUrls || [], progress: 1, credits: extractKieCredits(json) };
+    else if (sf === 2 || sf === 3) state = { status: 'failed', error: data?.errorMessage || json?.msg || 'generation failed' };
+    else state = { status: 'processing', progress: 0 };
+  } else {
+    const json = upstream === 'image' && recordBase
+      ? await kieImageRecordInfo(apiKey, recordBase, taskId)
+      : await kieRecordInfo(apiKey, taskId);
+    state = recordInfoState(json);
+  }
+
+  // Only the owner's answer describes the registered task; another key typically gets
+  // "not found" or "failed" for it, which must not end the owner's job.
+  if (findTask(taskId)?.keyHash === sha256Short(apiKey)) recordTaskStatus(taskId, state);
+  return state;
+}
+
+// Finished tasks owned by this key are answered from the registry; anything else asks KIE.
+async function getTaskState(apiKey, taskId) {
+  const found = findTask(taskId);
+  const task = found && found.keyHash === sha256Short(apiKey) ? found : null;
+  if (task && isTerminalStatus(task.status)) {
+    await waitForMirror(taskId);
+    return taskStateOf(findTask(taskId) || task);
+  }
+  const state = await fetchKieTaskState(apiKey, taskId);
+  if (state.status === 'completed' && task) {
+    await waitForMirror(taskId);
+    return taskStateOf(findTask(taskId));
+  }
+  return state;
+}
+
+// One shared upstream poll loop per (key, task) while at least one SSE stream watches it,
+// however many tabs or ids are subscribed. Stops on its own once the task is final.
+// Watchers are per key so a task is only ever polled, and its result only published,
+// with a key upstream accepted for it.
+const taskWatchers = new Map(); // `${keyHash}:${taskId}` -> { refs, timer }
+
+function watcherKey(keyHash, taskId) {
+  return `${keyHash}:${taskId}`;
+}
+
+function watchTask(apiKey, taskId) {
+  const keyHash = sha256Short(apiKey);
+  const id = watcherKey(keyHash, taskId);
+  let w = taskWatchers.get(id);
+  if (!w) {
+    const tick = async () => {
+      try {
+        const state = await getTaskState(apiKey, taskId);
+        // Unregistered tasks never reach recordTaskStatus, so always publish the poll result,
+        // tagged with the key that fetched it.
+        taskEvents.emit('update', taskId, state, keyHash);
+        if (isTerminalStatus(state.status)) stopWatcher(id);
+      } catch (err) {
+        // The key cannot see this task: tell its own subscribers instead of retrying forever.
+        if (err.status === 401 || err.status === 403 || err.status === 404) {
+          taskEvents.emit('update', taskId, { status: 'failed', error: 'Not found' }, keyHash);
+          stopWatcher(id);
+        }
+        // transient upstream error: keep the last known state and retry next tick
+      }
+    };
+    w = { refs: 0, timer: setInterval(tick, TASK_EVENTS_POLL_MS) };
+    w.timer.unref?.();
+    taskWatchers.set(id, w);
+    tick();
+  }
+  w.refs++;
+  return () => {
+    w.refs--;
+    if (w.refs <= 0) stopWatcher(id);
+  };
+}
+
+function stopWatcher(id) {
+  const w = taskWatchers.get(id);
+  if (!w) return;
+  clearInterval(w.timer);
+  taskWatchers.delete(id);
+}
+
+// Background worker: walks the registry for unfinished tasks and checks each one on a
+// per-model schedule. The first check waits roughly as long as that model usually takes,
+// then the gap grows by 1.5x per unchanged answer (2x after an error) up to maxMs.
+// Tasks an SSE stream is already watching are left to that watcher.
+const TASK_WORKER_BACKOFF = [
+  { match: /sora-2-pro/, firstMs: 120_000, maxMs: 600_000 },
+  { match: /sora/, firstMs: 60_000, maxMs: 300_000 },
+  { match: /^veo/, firstMs: 45_000, maxMs: 300_000 },
+  { match: /kling/, firstMs: 30_000, maxMs: 300_000 },
+  { match: /./, firstMs: 15_000, maxMs: 120_000 }
+];
+
+const taskWorker = {
+  timer: null,
+  inFlight: new Set(),
+  schedule: new Map(), // taskId -> { nextAt, delay }
+  polled: 0,
+  errors: 0
+};
+
+function taskBackoffFor(model) {
+  return TASK_WORKER_BACKOFF.find(b => b.match.test(String(model || ''))) || TASK_WORKER_BACKOFF.at(-1);
+}
+
+function taskWorkerTick() {
+  const now = Date.now();
+  const pending = loadTasks().filter(t => t.status === 'processing' && now - t.createdAt < TASK_WORKER_MAX_AGE_MS);
+  const pendingIds = new Set(pending.map(t => t.id));
+  for (const id of taskWorker.schedule.keys()) {
+    if (!pendingIds.has(id)) taskWorker.schedule.delete(id);
+  }
+
+  const due = [];
+  for (const task of pending) {
+    let slot = taskWorker.schedule.get(task.id);
+    if (!slot) {
+      const { firstMs } = taskBackoffFor(task.model);
+      slot = { nextAt: Math.max(task.createdAt + firstMs, now), delay: firstMs };
+      taskWorker.schedule.set(task.id, slot);
+    }
+    if (slot.nextAt <= now && !taskWorker.inFlight.has(task.id) && !taskWatchers.has(watcherKey(task.keyHash, task.id))) due.push(task);
+  }
+  due.sort((a, b) => taskWorker.schedule.get(a.id).nextAt - taskWorker.schedule.get(b.id).nextAt);
+
+  for (const task of due) {
+    if (taskWorker.inFlight.size >= TASK_WORKER_CONCURRENCY) break;
+    const apiKey = recallTaskKey(task.keyHash);
+    if (!apiKey) continue;
+    pollTaskInBackground(task, apiKey);
+  }
+
+  // Completed tasks whose mirror failed or was interrupted by a restart: one download at a time.
+  if (!mirrorJobs.size) {
+    const unmirrored = loadTasks().find(t => needsMirror(t) && now - t.completedAt < TASK_WORKER_MAX_AGE_MS);
+    if (unmirrored) mirrorTaskResults(unmirrored.id);
+  }
+}
+
+async function pollTaskInBackground(task, apiKey) {
+  const { maxMs } = taskBackoffFor(task.model);
+  const slot = taskWorker.schedule.get(task.id);
+  taskWorker.inFlight.add(task.id);
+  try {
+    // Own request id, so the worker's KIE calls and task log lines can be traced too.
+    const ctx = { id: `worker-${crypto.randomUUID()}`, model: task.model, upstream: [] };
+    await requestContext.run(ctx, () => fetchKieTaskState(apiKey, task.id));
+    taskWorker.polled++;
+    slot.delay = Math.min(slot.delay * 1.5, maxMs);
+  } catch (err) {
+    taskWorker.errors++;
+    slot.delay = Math.min(slot.delay * 2, maxMs);
+    console.warn(`[kenwei-aigc] worker poll ${task.id} failed:`, err.message || err);
+  } finally {
+    slot.nextAt = Date.now() + slot.delay;
+    taskWorker.inFlight.delete(task.id);
+  }
+}
 
-  return data?.video_url || data?.url || null;
+function startTaskWorker() {
+  if (!TASK_WORKER_ENABLED || taskWorker.timer) return;
+  taskWorker.timer = setInterval(taskWorkerTick, TASK_WORKER_TICK_MS);
+  taskWorker.timer.unref?.();
+  taskWorkerTick();
 }
 
 // ------------------------------
@@ -455,6 +3578,26 @@ app.use((req, res, next) => {
   next();
 });
 
+// Request id + access log (see "Request logs"). Later middleware and routes run inside the
+// request's context, so fetchJson and the logging helpers find it without passing `req` around.
+app.use((req, res, next) => {
+  const incoming = String(req.get('X-Request-Id') || '');
+  const ctx = {
+    id: REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID(),
+    apiKey: getApiKeyFromReq(req) || String(req.query.apiKey || ''), // only ever logged as a hash
+    upstream: []
+  };
+  req.id = ctx.id;
+  res.setHeader('X-Request-Id', ctx.id);
+  const startedAt = Date.now();
+  res.on('close', () => {
+    const latencyMs = Date.now() - startedAt;
+    logRequest(req, res, ctx, latencyMs);
+    observeRequest(req, res, latencyMs);
+  });
+  requestContext.run(ctx, next);
+});
+
 app.use(cookieParser());
 
 // JSON payloads can be large because some pages send base64.
@@ -470,7 +3613,19 @@ app.get(['/api/health','/health'], async (req, res) => {
     time: new Date().toISOString(),
     kieBase: KIE_API_BASE,
     isVercel: IS_VERCEL,
-    nodeVersion: process.version
+    nodeVersion: process.version,
+    storage: storage.driver,
+    taskWorker: {
+      enabled: TASK_WORKER_ENABLED,
+      running: Boolean(taskWorker.timer),
+      keyStorage: TASK_KEY_STORAGE,
+      tracked: taskWorker.schedule.size,
+      inFlight: taskWorker.inFlight.size,
+      polled: taskWorker.polled,
+      errors: taskWorker.errors
+    },
+    upstream: upstreamQueueStatus(),
+    circuits: circuitStatus()
   };
 
   // Optionally test KIE connectivity (if ?check=kie is passed)
@@ -490,11 +3645,19 @@ app.get(['/api/health','/health'], async (req, res) => {
       health.kieReachable = false;
       health.kieError = String(err.message || err);
     }
+    health.endpoints = endpointStatus();
   }
 
   res.json(health);
 });
 
+// Prometheus scrape endpoint (see "Metrics"); 404 until METRICS_TOKEN is set.
+app.get(['/metrics', '/api/metrics'], (req, res) => {
+  if (!METRICS_TOKEN) return sendError(res, apiError('not_found', 'Metrics are disabled (METRICS_TOKEN is not set)'), 'text');
+  if (!metricsAuthorized(req)) return sendError(res, apiError('unauthorized', 'Invalid metrics token'), 'text');
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
 // ------------------------------
 // Local cloud-like storage (generation history)
 // ------------------------------
@@ -529,7 +3692,7 @@ function incStats(model) {
   saveStats(s);
 }
 
-function saveBase64ToUploads(base64DataUrl) {
+async function saveBase64ToStorage(base64DataUrl) {
   // base64DataUrl: data:image/png;base64,....
   const m = /^data:([^;]+);base64,(.+)$/.exec(base64DataUrl || '');
   if (!m) return null;
@@ -538,9 +3701,9 @@ function saveBase64ToUploads(base64DataUrl) {
   const buf = Buffer.from(b64, 'base64');
   const ext = extFromMime(mime);
   const name = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}.${ext}`;
-  const outPath = path.join(UPLOADS_DIR, name);
-  fs.writeFileSync(outPath, buf);
-  return `/uploads/${name}`;
+  const storedUrl = await storage.put(name, buf, { contentType: mime });
+  incMetric('kenwei_upload_bytes_total', { target: 'storage' }, buf.length);
+  return storedUrl;
 }
 
 app.post('/api/generations', async (req, res) => {
@@ -551,22 +3714,22 @@ app.post('/api/generations', async (req, res) => {
     const id = crypto.randomBytes(10).toString('hex');
     const createdAt = Date.now();
 
-    const savedImages = (Array.isArray(images) ? images : []).map((img) => {
+    const savedImages = (await Promise.all((Array.isArray(images) ? images : []).map(async (img) => {
       if (!img) return null;
       if (img.url) return { url: img.url };
       if (img.base64 && String(img.base64).startsWith('data:')) {
-        const url = saveBase64ToUploads(img.base64);
+        const url = await saveBase64ToStorage(img.base64);
         return url ? { url } : null;
       }
       if (typeof img === 'string') {
         if (img.startsWith('data:')) {
-          const url = saveBase64ToUploads(img);
+          const url = await saveBase64ToStorage(img);
           return url ? { url } : null;
         }
         return { url: img };
       }
       return null;
-    }).filter(Boolean);
+    }))).filter(Boolean);
 
     const record = { id, apiKeyHash: apiKey ? sha256Short(apiKey) : '', prompt, model, sourceType, images: savedImages, createdAt };
     list.unshift(record);
@@ -575,7 +3738,7 @@ app.post('/api/generations', async (req, res) => {
 
     res.json({ success: true, id });
   } catch (err) {
-    res.status(500).json({ error: String(err?.message || err) });
+    sendError(res, err);
   }
 });
 
@@ -596,11 +3759,11 @@ app.get('/api/generations', (req, res) => {
       pageSize
     });
   } catch (err) {
-    res.status(500).json({ error: String(err?.message || err) });
+    sendError(res, err);
   }
 });
 
-app.delete('/api/generations/:id', (req, res) => {
+app.delete('/api/generations/:id', async (req, res) => {
   try {
     const id = String(req.params.id);
     const apiKey = String(req.query.apiKey || '');
@@ -608,13 +3771,20 @@ app.delete('/api/generations/:id', (req, res) => {
 
     const list = loadGenerations();
     const idx = list.findIndex(r => r.id === id && (!keyHash || r.apiKeyHash === keyHash));
-    if (idx === -1) return res.status(404).json({ error: 'Not found' });
+    if (idx === -1) return sendError(res, apiError('not_found', 'Not found'));
 
-    list.splice(idx, 1);
+    const [removed] = list.splice(idx, 1);
     saveGenerations(list);
+
+    // Delete images this record uploaded; mirrored task results (results/...) belong to the task.
+    for (const img of removed.images || []) {
+      const key = storage.keyFromUrl(img?.url);
+      if (!key || key.startsWith('results/')) continue;
+      try { await storage.delete(key); } catch (err) { console.warn('[kenwei-aigc] storage delete failed:', err.message || err); }
+    }
     res.json({ success: true });
   } catch (err) {
-    res.status(500).json({ error: String(err?.message || err) });
+    sendError(res, err);
   }
 });
 
@@ -623,7 +3793,134 @@ app.get('/api/stats', (req, res) => {
     const s = loadStats();
     res.json({ success: true, data: s });
   } catch (err) {
-    res.status(500).json({ error: String(err?.message || err) });
+    sendError(res, err);
+  }
+});
+
+// Server-side task history: GET /api/tasks?status=&model=&path=&q=&since=&until=&page=&pageSize=
+// since/until accept epoch ms or ISO dates and filter on createdAt.
+function parseTimeParam(v) {
+  if (v === undefined || v === '') return null;
+  const n = Number(v);
+  const t = Number.isFinite(n) ? n : Date.parse(String(v));
+  return Number.isFinite(t) ? t : null;
+}
+
+app.get('/api/tasks', (req, res) => {
+  const apiKey = getBearerToken(req);
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing Authorization Bearer APIKey'));
+
+  try {
+    const keyHash = sha256Short(apiKey);
+    const page = Math.max(1, Number(req.query.page || 1));
+    const pageSize = Math.min(100, Math.max(1, Number(req.query.pageSize || 20)));
+    const status = String(req.query.status || '').trim();
+    const model = String(req.query.model || '').trim().toLowerCase();
+    const routePath = String(req.query.path || '').trim();
+    const q = String(req.query.q || '').trim().toLowerCase();
+    const since = parseTimeParam(req.query.since);
+    const until = parseTimeParam(req.query.until);
+
+    const filtered = loadTasks().filter(t =>
+      t.keyHash === keyHash &&
+      (!status || status.split(',').includes(t.status)) &&
+      (!model || String(t.model || '').toLowerCase().includes(model)) &&
+      (!routePath || t.path === routePath) &&
+      (!q || String(t.params?.prompt || '').toLowerCase().includes(q)) &&
+      (since === null || t.createdAt >= since) &&
+      (until === null || t.createdAt <= until)
+    );
+    const start = (page - 1) * pageSize;
+    res.json({
+      tasks: filtered.slice(start, start + pageSize).map(publicTask),
+      total: filtered.length,
+      page,
+      pageSize
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.get('/api/tasks/:id', (req, res) => {
+  const apiKey = getBearerToken(req);
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing Authorization Bearer APIKey'));
+  const task = findTask(String(req.params.id));
+  if (!task || task.keyHash !== sha256Short(apiKey)) return sendError(res, apiError('not_found', 'Not found'));
+  res.json(publicTask(task));
+});
+
+// ------------------------------
+// KIE callbacks
+// ------------------------------
+//
+// KIE POSTs the final state of a task to the callBackUrl given at create time
+// (see newTaskCallback). Market jobs send { code, data: { taskId, state, resultJson, failMsg } };
+// Veo sends { code, msg, data: { taskId, info: { resultUrls } } } with code 200 on success.
+
+function parseKieCallback(body, upstream) {
+  const data = body?.data ?? {};
+  if (upstream === 'veo') {
+    if (Number(body?.code) === 200) {
+      const urls = data?.info?.resultUrls || data?.response?.resultUrls || [];
+      return { status: 'completed', resultUrls: Array.isArray(urls) ? urls : [], progress: 1 };
+    }
+    return { status: 'failed', error: body?.msg || data?.errorMessage || 'generation failed' };
+  }
+  const status = normalizeKieStatusToSimple(body);
+  if (status === 'completed') return { status, resultUrls: extractResultUrls(body), progress: 1 };
+  if (status === 'failed' || (body?.code && Number(body.code) !== 200)) return { status: 'failed', error: extractKieError(body) };
+  return { status: 'processing' };
+}
+
+function tokensMatch(a, b) {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length > 0 && x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// KIE can call back before createTask has answered us, i.e. before the task is recorded
+// (in this process or another one sharing DATA_DIR). Such callbacks wait here for the record
+// instead of being dropped; a bounded number at a time.
+const CALLBACK_WAIT_MS = 15_000;
+const CALLBACK_MAX_WAITING = 200;
+let callbacksWaiting = 0;
+
+async function waitForTask(taskId) {
+  let task = findTask(taskId);
+  if (task || callbacksWaiting >= CALLBACK_MAX_WAITING) return task;
+  callbacksWaiting++;
+  try {
+    const deadline = Date.now() + CALLBACK_WAIT_MS;
+    while (!task && Date.now() < deadline) {
+      await new Promise(r => setTimeout(r, 250));
+      task = findTask(taskId);
+    }
+    return task;
+  } finally {
+    callbacksWaiting--;
+  }
+}
+
+app.post('/api/kie/callback', async (req, res) => {
+  const body = req.body;
+  const taskId = body?.data?.taskId || body?.data?.task_id;
+  if (!body || typeof body !== 'object' || typeof taskId !== 'string' || !taskId) {
+    return sendError(res, apiError('invalid_param', 'Invalid callback payload (missing data.taskId)', { showDetail: true }));
+  }
+
+  const task = await waitForTask(taskId);
+  if (!task) return sendError(res, apiError('not_found', 'Unknown task'));
+  if (!tokensMatch(req.query.token, task.callbackToken)) {
+    return sendError(res, apiError('unauthorized', 'Invalid callback token', { status: 403 }));
+  }
+
+  try {
+    const state = parseKieCallback(body, task.upstream);
+    recordTaskStatus(taskId, state);
+    res.json({ success: true, status: state.status });
+  } catch (err) {
+    sendError(res, err);
   }
 });
 
@@ -634,17 +3931,11 @@ app.get('/api/stats', (req, res) => {
 // token/info -> KIE credits (best-effort; endpoint may evolve)
 app.get(['/api/proxy/token/info','/proxy/token/info'], async (req, res) => {
   const apiKey = getBearerToken(req);
-  if (!apiKey) return res.status(401).json({ success: false, message: 'Missing Authorization Bearer APIKey' });
-
-  const candidates = [
-    `${KIE_API_BASE}/api/v1/chat/credit`,
-    `${KIE_API_BASE}/api/v1/user/credits`,
-    `${KIE_API_BASE}/api/v1/user/credit`,
-  ];
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing Authorization Bearer APIKey'), 'success');
 
-  for (const url of candidates) {
+  for (const candidate of endpointCandidates('credit')) {
     try {
-      const { ok, status, json } = await fetchJson(url, {
+      const { ok, status, json } = await fetchJson(candidate.url, {
         method: 'GET',
         headers: { Authorization: `Bearer ${apiKey}`, Accept: 'application/json' }
       });
@@ -662,26 +3953,70 @@ app.get(['/api/proxy/token/info','/proxy/token/info'], async (req, res) => {
 
       const used = data?.used ?? data?.usedCredit ?? data?.used_credits ?? data?.used_quota ?? null;
 
+      rememberEndpoint('credit', candidate);
       return res.json({ success: true, data: { credit, used } });
     } catch {
       // try next
     }
   }
 
-  return res.status(502).json({ success: false, message: 'Unable to fetch credits from KIE (credit endpoint not reachable).' });
+  return sendError(res, apiError('upstream_unavailable', 'Unable to fetch credits from KIE (credit endpoint not reachable).'), 'success');
 });
 
 // log/self -> local proxy call logs (per APIKey)
 app.get(['/api/proxy/log/self','/proxy/log/self'], (req, res) => {
   const apiKey = getBearerToken(req);
-  if (!apiKey) return res.status(401).json({ message: 'Missing Authorization Bearer APIKey' });
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing Authorization Bearer APIKey'), 'message');
   const keyHash = sha256Short(apiKey);
   const p = Math.max(0, Number(req.query.p || 0));
   const size = Math.min(100, Math.max(1, Number(req.query.size || 20)));
-  const arr = usageLogs.get(keyHash) || [];
+  const since = parseTimeParam(req.query.since);
+  const until = parseTimeParam(req.query.until);
+  const arr = loadUsageLogs(keyHash, { since }).filter(e =>
+    (since === null || e.created_at * 1000 >= since) && (until === null || e.created_at * 1000 <= until));
   const start = p * size;
   const end = start + size;
-  res.json({ data: arr.slice(start, end), total: arr.length });
+  res.json({ data: arr.slice(start, end), total: arr.length, totals: summarizeUsage(arr) });
+});
+
+// quota -> per-key budget limits and what is left today / this month (UTC)
+app.get('/api/quota', (req, res) => {
+  const apiKey = getBearerToken(req);
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing Authorization Bearer APIKey'), 'success');
+  res.json({ success: true, data: budgetStatus(sha256Short(apiKey)) });
+});
+
+// queue -> the caller's calls waiting for a KIE slot (position 1 = next), plus per-class load
+app.get('/api/queue', (req, res) => {
+  const apiKey = getBearerToken(req);
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing Authorization Bearer APIKey'), 'success');
+  res.json({ success: true, data: upstreamQueueStatus(sha256Short(apiKey)) });
+});
+
+// ------------------------------
+// Models
+// ------------------------------
+
+// The model registry (see "Model registry") for the pages' selectors. No APIKey needed.
+// ?family=sora|veo|kling|gemini narrows the list; hidden models are included and flagged.
+app.get('/api/models', (req, res) => {
+  const family = String(req.query.family || '').trim();
+  const data = MODEL_REGISTRY.filter(m => !family || m.family === family);
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  res.json({ success: true, data });
+});
+
+// ------------------------------
+// API reference
+// ------------------------------
+
+// Field reference for the compatibility routes, generated from REQUEST_SCHEMAS (see
+// "Request schemas") so it cannot drift from what is enforced. Markdown by default,
+// ?format=json for tooling.
+app.get('/api/docs', (req, res) => {
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  if (req.query.format === 'json') return res.json({ success: true, data: apiDocs() });
+  return res.type('text/markdown; charset=utf-8').send(apiDocsMarkdown());
 });
 
 // ------------------------------
@@ -689,232 +4024,377 @@ app.get(['/api/proxy/log/self','/proxy/log/self'], (req, res) => {
 // ------------------------------
 
 // 1) Sora/Veo unified video endpoint used by the existing frontend pages
-app.post('/v1/videos', upload.any(), async (req, res) => {
+app.post('/v1/videos', keepRequestContext(upload.any()), validateBody('videos'), async (req, res) => {
   const apiKey = getBearerToken(req);
-  if (!apiKey) return res.status(401).json({ error: 'Missing Authorization Bearer APIKey' });
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing Authorization Bearer APIKey'));
 
-  const model = String(req.body.model || '').trim();
-  const prompt = String(req.body.prompt || '').trim();
-  const seconds = String(req.body.seconds || '').trim();
-  const size = String(req.body.size || '').trim();
-  const resolution = String(req.body.resolution || '').trim();
+  const { model, prompt, seconds, size, resolution } = req.valid;
 
-  const hasFile = Array.isArray(req.files) && req.files.length > 0;
+  const files = Array.isArray(req.files) ? req.files : [];
+  const entry = findModel(model);
+
+  let params;
+  try {
+    params = resolveModelParams(entry, { duration: seconds, ratio: size, resolution }, { duration: 'seconds', ratio: 'size' });
+  } catch (err) {
+    return sendError(res, err);
+  }
 
   try {
     // Veo
-    if (isVeoModel(model)) {
-      const aspectRatio = mapAspectRatio(size);
-      const kieModel = model.toLowerCase().includes('fast') ? 'veo3_fast' : 'veo3';
-
-      const taskId = await kieVeoGenerate(apiKey, {
-        prompt,
-        model: kieModel,
-        aspectRatio,
-        // KIE will infer generation type based on presence of imageUrls
-        imageUrls: []
-      });
+    if (entry.family === 'veo') {
+      const aspectRatio = params.ratio;
+
+      let plan;
+      try {
+        plan = planVeoGeneration(entry, aspectRatio, req.files);
+      } catch (err) {
+        return sendError(res, apiError('invalid_param', String(err?.message || err), { showDetail: true }));
+      }
+      const kieModel = entry.upstream[plan.input];
+
+      // KIE renders 720p unless 1080p is fetched separately.
+      const billing = billingFor(kieModel, { seconds: Number(params.duration), resolution: params.resolution });
+      const budget = holdBudget(apiKey, billing);
+      if (budget.exceeded) return sendBudgetExceeded(res, budget);
+
+      try {
+        // Upload in plan order: KIE reads imageUrls positionally (first frame, last frame).
+        const imageUrls = [];
+        for (let i = 0; i < plan.files.length; i++) {
+          const f = plan.files[i];
+          imageUrls.push(await kieUploadBuffer(apiKey, f.buffer, f.originalname || `veo-frame-${i}.${extFromMime(f.mimetype)}`, f.mimetype));
+        }
+
+        const { callbackToken, callBackUrl } = newTaskCallback();
+        const taskId = await kieVeoGenerate(apiKey, {
+          prompt,
+          model: kieModel,
+          aspectRatio,
+          generationType: plan.generationType,
+          imageUrls,
+          ...(callBackUrl ? { callBackUrl } : {})
+        });
+
+        recordTaskCreated(apiKey, { id: taskId, model: kieModel, path: '/v1/videos', upstream: 'veo', callbackToken, billing, params: { prompt, aspectRatio, generationType: plan.generationType, imageUrls, seconds: params.duration } });
+        pushUsageLog(apiKey, { created_at: nowUnix(), model_name: `veo:${kieModel}`, prompt, image_count: imageUrls.length, path: '/v1/videos', kind: 'create', task_id: taskId, billing });
+        return res.json({ id: taskId, status: 'processing' });
+      } finally {
+        budget.release();
+      }
+    }
+
+    // Sora2 (Market): a single reference image, no first/last frames.
+    const frameFields = files.filter(f => f.fieldname === 'start_frame' || f.fieldname === 'end_frame');
+    if (frameFields.length) {
+      return sendError(res, fieldErrors([...new Set(frameFields.map(f => f.fieldname))].map(field => ({ field, message: `${field} is only supported by Veo models; use input_reference for ${model}` }))));
+    }
+    const references = files.filter(f => f.fieldname === 'input_reference');
+    if (references.length > 1) {
+      return sendError(res, fieldErrors([{ field: 'input_reference', message: `${model} accepts one reference image` }]));
+    }
+    const reference = references[0] || null;
+    const marketModel = entry.upstream[reference ? 'image' : 'text'];
+
+    const input = {
+      prompt,
+      aspect_ratio: params.ratio,
+      duration: params.duration
+    };
+    // Only an explicit choice is sent; KIE's default is the standard quality.
+    if (resolution) input.resolution = params.resolution;
+
+    const billing = billingFor(marketModel, { seconds: input.duration, resolution: input.resolution || 'standard' });
+    const budget = holdBudget(apiKey, billing);
+    if (budget.exceeded) return sendBudgetExceeded(res, budget);
+
+    try {
+      if (reference) {
+        const fileUrl = await kieUploadBuffer(apiKey, reference.buffer, reference.originalname, reference.mimetype);
+        input.image_urls = [fileUrl];
+      }
+
+      const { callbackToken, callBackUrl } = newTaskCallback();
+      const taskId = await kieCreateTask(apiKey, marketModel, input, callBackUrl);
+      recordTaskCreated(apiKey, { id: taskId, model: marketModel, path: '/v1/videos', upstream: 'market', callbackToken, billing, params: input });
+      pushUsageLog(apiKey, { created_at: nowUnix(), model_name: marketModel, prompt, image_count: reference ? 1 : 0, path: '/v1/videos', kind: 'create', task_id: taskId, billing });
+      return res.json({ task_id: taskId, id: taskId, status: 'processing' });
+    } finally {
+      budget.release();
+    }
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// Status push (SSE) used by Sora/Veo/Kling pages instead of one polling loop per task:
+//   GET /v1/videos/:taskId/events      - one task
+//   GET /v1/videos/events?ids=a,b,c    - many tasks over one connection (max 100)
+// Each update is `event: task` with { id, status, progress, video_url, result_urls, message, code };
+// `event: done` follows once every task is final. Auth: Bearer header (or ?key= for EventSource).
+function streamTaskEvents(req, res, taskIds) {
+  const apiKey = getApiKeyFromReq(req);
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing Authorization Bearer APIKey'));
+  if (!taskIds.length) return sendError(res, apiError('invalid_param', 'Missing task ids', { showDetail: true }));
+  if (taskIds.length > 100) return sendError(res, apiError('invalid_param', 'At most 100 task ids per stream', { showDetail: true }));
+
+  const keyHash = sha256Short(apiKey);
+  const pending = new Set(taskIds);
+  const lastSent = new Map();
+  const releases = [];
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // nginx: do not buffer the stream
+  res.flushHeaders?.();
+  res.write('retry: 5000\n\n');
+
+  let closed = false;
+  let heartbeat = null;
+  let maxAge = null;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearTimeout(maxAge);
+    taskEvents.off('update', onUpdate);
+    releases.forEach(release => release());
+    res.end();
+  };
 
-      pushUsageLog(apiKey, { created_at: nowUnix(), model_name: `veo:${kieModel}`, prompt, image_count: 0, path: '/v1/videos', kind: 'create' });
-      return res.json({ id: taskId, status: 'processing' });
+  const send = (taskId, state) => {
+    if (closed || !pending.has(taskId)) return;
+    const payload = { id: taskId, status: state.status, progress: state.progress ?? 0 };
+    if (state.status === 'completed') {
+      payload.video_url = state.resultUrls?.[0] || null;
+      payload.result_urls = state.resultUrls || [];
+    }
+    if (state.status === 'failed') {
+      payload.message = state.error || 'generation failed';
+      payload.code = taskFailureCode(state.error);
+    }
+    const line = JSON.stringify(payload);
+    if (lastSent.get(taskId) === line) return;
+    lastSent.set(taskId, line);
+    res.write(`event: task\ndata: ${line}\n\n`);
+
+    if (isTerminalStatus(state.status)) {
+      pending.delete(taskId);
+      if (!pending.size) {
+        res.write('event: done\ndata: {}\n\n');
+        close();
+      }
     }
+  };
 
-    // Sora2 (Market)
-    if (isSoraModel(model)) {
-      const marketModel = mapSoraMarketModel(model, hasFile);
-      const aspect_ratio = mapAspectRatio(size);
+  // Updates tagged with another key's hash come from that key's watcher; ignore them.
+  function onUpdate(taskId, state, fromKeyHash) {
+    if (fromKeyHash && fromKeyHash !== keyHash) return;
+    send(taskId, state);
+  }
+  taskEvents.on('update', onUpdate);
 
-      const input = {
-        prompt,
-        aspect_ratio,
-      };
-      if (seconds) input.duration = seconds;
-      if (resolution) input.resolution = resolution;
+  for (const taskId of taskIds) {
+    const task = findTask(taskId);
+    if (task && task.keyHash !== keyHash) {
+      send(taskId, { status: 'failed', error: 'Not found' });
+      continue;
+    }
+    if (task) send(taskId, taskStateOf(task));
+    if (!closed && pending.has(taskId)) releases.push(watchTask(apiKey, taskId));
+  }
 
-      if (hasFile) {
-        const f = req.files[0];
-        const fileUrl = await kieUploadBuffer(apiKey, f.buffer, f.originalname, f.mimetype);
-        input.image_urls = [fileUrl];
-      }
+  if (closed) return;
+  heartbeat = setInterval(() => res.write(': ping\n\n'), 15_000);
+  maxAge = setTimeout(close, TASK_EVENTS_MAX_STREAM_MS);
+  req.on('close', close);
+}
 
-      const taskId = await kieCreateTask(apiKey, marketModel, input);
-      pushUsageLog(apiKey, { created_at: nowUnix(), model_name: marketModel, prompt, image_count: hasFile ? 1 : 0, path: '/v1/videos', kind: 'create' });
-      return res.json({ task_id: taskId, id: taskId, status: 'processing' });
-    }
+app.get('/v1/videos/events', (req, res) => {
+  const ids = String(req.query.ids || '').split(',').map(s => s.trim()).filter(Boolean);
+  streamTaskEvents(req, res, [...new Set(ids)]);
+});
 
-    return res.status(400).json({ error: `Unsupported model: ${model || '(empty)'}` });
-  } catch (err) {
-    return res.status(500).json({ error: String(err?.message || err) });
-  }
+app.get('/v1/videos/:taskId/events', (req, res) => {
+  streamTaskEvents(req, res, [String(req.params.taskId || '')].filter(Boolean));
 });
 
 // Status polling used by Sora/Veo pages
 app.get('/v1/videos/:taskId', async (req, res) => {
   const apiKey = getBearerToken(req);
-  if (!apiKey) return res.status(401).json({ error: 'Missing Authorization Bearer APIKey' });
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing Authorization Bearer APIKey'));
 
   const taskId = String(req.params.taskId || '');
 
   try {
-    // Veo tasks usually look like veo_task_xxx
-    if (taskId.toLowerCase().startsWith('veo')) {
-      const json = await kieVeoRecordInfo(apiKey, taskId);
-      const data = json?.data ?? {};
-      const sf = data?.successFlag;
-      if (sf === 1) {
-        const url = (data?.response?.resultUrls || [])[0] || null;
-        return res.json({ status: 'completed', video_url: url, progress: 1 });
-      }
-      if (sf === 2 || sf === 3) {
-        return res.json({ status: 'failed', message: data?.errorMessage || json?.msg || 'generation failed' });
-      }
-      return res.json({ status: 'processing', progress: 0 });
-    }
-
-    // Market tasks
-    const json = await kieRecordInfo(apiKey, taskId);
-    const status = normalizeKieStatusToSimple(json);
-    const url = extractFirstResultUrl(json);
-    const data = json?.data ?? {};
-    const progress = typeof data?.progress === 'number' ? data.progress : undefined;
-
-    if (status === 'completed') {
-      return res.json({ status: 'completed', video_url: url, progress: 1 });
+    const state = await getTaskState(apiKey, taskId);
+    if (state.status === 'completed') {
+      return res.json({ status: 'completed', video_url: state.resultUrls[0] || null, progress: 1 });
     }
-    if (status === 'failed') {
-      return res.json({ status: 'failed', message: data?.errorMessage || data?.message || json?.msg || 'generation failed' });
+    if (state.status === 'failed') {
+      return res.json({ status: 'failed', message: state.error, code: taskFailureCode(state.error) });
     }
-    return res.json({ status: 'processing', progress: progress ?? 0 });
+    return res.json({ status: 'processing', progress: state.progress ?? 0 });
   } catch (err) {
-    return res.status(500).json({ error: String(err?.message || err) });
+    return sendError(res, err);
   }
 });
 
 // Optional: content endpoint fallback (some pages may use it)
 app.get('/v1/videos/:taskId/content', async (req, res) => {
   const apiKey = getBearerToken(req);
-  if (!apiKey) return res.status(401).send('Missing Authorization');
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing Authorization'), 'text');
   const taskId = String(req.params.taskId || '');
 
   try {
-    // Reuse status endpoint logic
-    const fakeReq = { ...req, params: { taskId } };
-    // Call record directly to fetch url
-    let url = null;
-    if (taskId.toLowerCase().startsWith('veo')) {
-      const json = await kieVeoRecordInfo(apiKey, taskId);
-      url = (json?.data?.response?.resultUrls || [])[0] || null;
-    } else {
-      const json = await kieRecordInfo(apiKey, taskId);
-      url = extractFirstResultUrl(json);
-    }
-    if (!url) return res.status(404).send('No content');
-    // Redirect the browser to the real file URL
+    const state = await getTaskState(apiKey, taskId);
+    const url = state.resultUrls?.[0] || null;
+    if (!url) return sendError(res, apiError('not_found', 'No content'), 'text');
+    // Mirrored copy: serve it from storage; otherwise redirect upstream
+    const key = storage.keyFromUrl(url);
+    if (key) return sendStoredObject(res, key);
     return res.redirect(url);
   } catch (err) {
-    return res.status(500).send(String(err?.message || err));
+    return sendError(res, err, 'text');
   }
 });
 
 // 2) Kling endpoints used by the existing frontend pages
-app.post('/kling/v1/videos/text2video', async (req, res) => {
+app.post('/kling/v1/videos/text2video', validateBody('klingText'), async (req, res) => {
   const apiKey = getBearerToken(req);
-  if (!apiKey) return res.status(401).json({ message: 'Missing Authorization Bearer APIKey' });
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing Authorization Bearer APIKey'), 'message');
 
   try {
     const body = req.body || {};
-    const prompt = String(body.prompt || '').trim();
-    const aspect_ratio = mapAspectRatio(body.aspect_ratio);
-    const duration = String(body.duration || '5');
 
-    // Map to Kling 2.6 by default (works for most cases)
-    const model = 'kling-2.6/text-to-video';
-    const input = { prompt, aspect_ratio, duration, sound: false };
+    let resolved;
+    try {
+      resolved = resolveKlingRequest({ ...body, ...req.valid }, 'text');
+    } catch (err) {
+      return sendError(res, err, 'message');
+    }
+    const { model, input } = resolved;
+    const prompt = input.prompt;
+
+    const billing = billingFor(model, { seconds: input.duration, resolution: resolved.mode === 'pro' ? '1080p' : '720p', sound: input.sound });
+    const budget = holdBudget(apiKey, billing);
+    if (budget.exceeded) return sendBudgetExceeded(res, budget, 'message');
 
-    const taskId = await kieCreateTask(apiKey, model, input);
-    pushUsageLog(apiKey, { created_at: nowUnix(), model_name: model, prompt, image_count: 0, path: '/kling/v1/videos/text2video', kind: 'create' });
-    return res.json({ data: { task_id: taskId } });
+    try {
+      const { callbackToken, callBackUrl } = newTaskCallback();
+      const taskId = await kieCreateTask(apiKey, model, input, callBackUrl);
+      recordTaskCreated(apiKey, { id: taskId, model, path: '/kling/v1/videos/text2video', upstream: 'market', callbackToken, billing, params: input });
+      pushUsageLog(apiKey, { created_at: nowUnix(), model_name: model, prompt, image_count: 0, path: '/kling/v1/videos/text2video', kind: 'create', task_id: taskId, billing });
+      return res.json({ data: { task_id: taskId } });
+    } finally {
+      budget.release();
+    }
   } catch (err) {
-    return res.status(500).json({ message: String(err?.message || err) });
+    return sendError(res, err, 'message');
   }
 });
 
 app.get('/kling/v1/videos/text2video/:taskId', async (req, res) => {
   const apiKey = getBearerToken(req);
-  if (!apiKey) return res.status(401).json({ message: 'Missing Authorization Bearer APIKey' });
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing Authorization Bearer APIKey'), 'message');
   const taskId = String(req.params.taskId || '');
 
   try {
-    const json = await kieRecordInfo(apiKey, taskId);
-    const status = normalizeKieStatusToSimple(json);
-    const url = extractFirstResultUrl(json);
-    const data = json?.data ?? {};
+    const state = await getTaskState(apiKey, taskId);
 
-    if (status === 'completed') {
-      return res.json({ data: { task_status: 'succeed', task_result: { videos: [{ url }] } } });
+    if (state.status === 'completed') {
+      return res.json({ data: { task_status: 'succeed', task_result: { videos: [{ url: state.resultUrls[0] || null }] } } });
     }
-    if (status === 'failed') {
-      return res.json({ data: { task_status: 'failed', task_status_msg: data?.errorMessage || data?.message || json?.msg || 'failed' } });
+    if (state.status === 'failed') {
+      return res.json({ data: { task_status: 'failed', task_status_msg: state.error || 'failed', code: taskFailureCode(state.error) } });
     }
     return res.json({ data: { task_status: 'processing' } });
   } catch (err) {
-    return res.status(500).json({ message: String(err?.message || err) });
+    return sendError(res, err, 'message');
   }
 });
 
-app.post('/kling/v1/videos/image2video', async (req, res) => {
+// Accepts JSON (image / image_tail as base64, data: URL or http(s) URL)
+// or multipart/form-data with `image` / `image_tail` file fields.
+app.post('/kling/v1/videos/image2video', keepRequestContext(upload.any()), validateBody('klingImage'), async (req, res) => {
   const apiKey = getBearerToken(req);
-  if (!apiKey) return res.status(401).json({ message: 'Missing Authorization Bearer APIKey' });
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing Authorization Bearer APIKey'), 'message');
 
   try {
     const body = req.body || {};
-    const prompt = String(body.prompt || '').trim();
-    const duration = String(body.duration || '5');
-    const aspect_ratio = '16:9';
-
-    // body.image is base64 (no prefix)
-    const b64 = String(body.image || '').trim();
-    if (!b64) return res.status(400).json({ message: 'Missing image (base64)' });
-    const buffer = Buffer.from(b64, 'base64');
-    const mime = detectImageMime(buffer);
-    const fileUrl = await kieUploadBuffer(apiKey, buffer, `kling-input.${extFromMime(mime)}`, mime);
-
-    const model = 'kling-2.6/image-to-video';
-    const input = { prompt, aspect_ratio, duration, sound: false, image_urls: [fileUrl] };
-
-    const taskId = await kieCreateTask(apiKey, model, input);
-    pushUsageLog(apiKey, { created_at: nowUnix(), model_name: model, prompt, image_count: 1, path: '/kling/v1/videos/image2video', kind: 'create' });
-    return res.json({ data: { task_id: taskId } });
+
+    let resolved;
+    try {
+      resolved = resolveKlingRequest({ ...body, ...req.valid }, 'image');
+    } catch (err) {
+      return sendError(res, err, 'message');
+    }
+    const { model, input, version, versionName, mode } = resolved;
+    const prompt = input.prompt;
+
+    const files = Array.isArray(req.files) ? req.files : [];
+    const imageFile = files.find(f => f.fieldname === 'image');
+    const tailFile = files.find(f => f.fieldname === 'image_tail');
+
+    const hasTail = Boolean(tailFile || String(body.image_tail || '').trim());
+    if (hasTail && !version.tailModes.includes(mode)) {
+      return sendError(res, fieldErrors([{ field: 'image_tail', message: `${versionName} (${mode}) does not support image_tail` }]), 'message');
+    }
+
+    const billing = billingFor(model, { seconds: input.duration, resolution: mode === 'pro' ? '1080p' : '720p', sound: input.sound });
+    const budget = holdBudget(apiKey, billing);
+    if (budget.exceeded) return sendBudgetExceeded(res, budget, 'message');
+
+    try {
+      const fileUrl = await resolveKlingImageUrl(apiKey, body.image, imageFile, 'kling-input');
+      if (!fileUrl) return sendError(res, fieldErrors([{ field: 'image', message: 'image could not be decoded' }]), 'message');
+      input[version.imageField] = version.imageField === 'image_urls' ? [fileUrl] : fileUrl;
+
+      if (hasTail) {
+        const tailUrl = await resolveKlingImageUrl(apiKey, body.image_tail, tailFile, 'kling-tail');
+        if (!tailUrl) return sendError(res, fieldErrors([{ field: 'image_tail', message: 'image_tail could not be decoded' }]), 'message');
+        input.tail_image_url = tailUrl;
+      }
+
+      const { callbackToken, callBackUrl } = newTaskCallback();
+      const taskId = await kieCreateTask(apiKey, model, input, callBackUrl);
+      recordTaskCreated(apiKey, { id: taskId, model, path: '/kling/v1/videos/image2video', upstream: 'market', callbackToken, billing, params: input });
+      pushUsageLog(apiKey, { created_at: nowUnix(), model_name: model, prompt, image_count: hasTail ? 2 : 1, path: '/kling/v1/videos/image2video', kind: 'create', task_id: taskId, billing });
+      return res.json({ data: { task_id: taskId } });
+    } finally {
+      budget.release();
+    }
   } catch (err) {
-    return res.status(500).json({ message: String(err?.message || err) });
+    return sendError(res, err, 'message');
   }
 });
 
 app.get('/kling/v1/videos/image2video/:taskId', async (req, res) => {
   const apiKey = getBearerToken(req);
-  if (!apiKey) return res.status(401).json({ message: 'Missing Authorization Bearer APIKey' });
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing Authorization Bearer APIKey'), 'message');
   const taskId = String(req.params.taskId || '');
 
   try {
-    const json = await kieRecordInfo(apiKey, taskId);
-    const status = normalizeKieStatusToSimple(json);
-    const url = extractFirstResultUrl(json);
-    const data = json?.data ?? {};
+    const state = await getTaskState(apiKey, taskId);
 
-    if (status === 'completed') {
-      return res.json({ data: { task_status: 'succeed', task_result: { videos: [{ url }] } } });
+    if (state.status === 'completed') {
+      return res.json({ data: { task_status: 'succeed', task_result: { videos: [{ url: state.resultUrls[0] || null }] } } });
     }
-    if (status === 'failed') {
-      return res.json({ data: { task_status: 'failed', task_status_msg: data?.errorMessage || data?.message || json?.msg || 'failed' } });
+    if (state.status === 'failed') {
+      return res.json({ data: { task_status: 'failed', task_status_msg: state.error || 'failed', code: taskFailureCode(state.error) } });
     }
     return res.json({ data: { task_status: 'processing' } });
   } catch (err) {
-    return res.status(500).json({ message: String(err?.message || err) });
+    return sendError(res, err, 'message');
   }
 });
 
-// 3) Sora "characters" endpoint used by soracjjs.html
-// Note: KIE's official character workflow is different. Here we keep this feature working locally.
+// 3) Sora characters (soracjjs.html)
+// Runs KIE's character workflow: a source clip URL + a 1-3s timestamp window becomes a
+// reusable character (id, @username, avatar). Records are kept per APIKey hash so the
+// Sora pages can list them and insert @username into prompts.
 const soraCharactersFile = path.join(DATA_DIR, 'sora-characters.json');
 function loadSoraCharacters() {
   return readJson(soraCharactersFile, {}); // keyHash -> array
@@ -923,39 +4403,194 @@ function saveSoraCharacters(obj) {
   writeJson(soraCharactersFile, obj);
 }
 
-app.post('/sora/v1/characters', async (req, res) => {
+// Returns the normalized "start,end" string, or throws with a user-facing message.
+function parseCharacterTimestamps(raw) {
+  const parts = String(raw || '').split(',').map(v => Number(String(v).trim()));
+  if (parts.length !== 2 || parts.some(n => !Number.isFinite(n))) {
+    throw new Error('timestamps must look like "start,end" in seconds, e.g. "0,3"');
+  }
+  const [start, end] = parts;
+  if (start < 0 || end - start < 1 || end - start > 3) {
+    throw new Error('timestamps window must be 1-3 seconds and start at 0 or later');
+  }
+  return `${start},${end}`;
+}
+
+function extractSoraCharacter(json) {
+  const data = json?.data ?? json;
+  let result = data?.resultJson ?? data?.response ?? data?.result ?? {};
+  if (typeof result === 'string') {
+    try { result = JSON.parse(result); } catch { result = {}; }
+  }
+  const c = result?.character ?? result ?? {};
+  return {
+    characterId: c?.character_id || c?.characterId || c?.id || null,
+    username: c?.username || c?.character_username || c?.characterUsername || null,
+    avatar: c?.profile_picture_url || c?.profilePictureUrl || c?.avatar_url || c?.avatarUrl || (c?.resultUrls || [])[0] || ''
+  };
+}
+
+// Pull the latest upstream state into a pending record (mutates and returns it).
+async function refreshSoraCharacter(apiKey, record) {
+  if (record.status !== 'processing' || !record.taskId) return record;
+  const json = await kieRecordInfo(apiKey, record.taskId);
+  const status = normalizeKieStatusToSimple(json);
+  if (status === 'completed') {
+    const { characterId, username, avatar } = extractSoraCharacter(json);
+    if (!characterId && !username) {
+      record.status = 'failed';
+      record.error = 'KIE returned no character id/username';
+      return record;
+    }
+    record.status = 'completed';
+    record.characterId = characterId;
+    record.username = username || characterId;
+    record.profile_picture_url = avatar;
+  } else if (status === 'failed') {
+    record.status = 'failed';
+    record.error = extractKieError(json);
+  }
+  if (record.status !== 'processing') {
+    const actualCredits = record.status === 'completed' ? estimateCredits(SORA_CHARACTER_MODEL) : 0;
+    recordUsageOutcome(sha256Short(apiKey), record.taskId, { status: record.status, error: record.error, actualCredits });
+  }
+  return record;
+}
+
+function publicSoraCharacter(record) {
+  return {
+    id: record.id,
+    character_id: record.characterId || null,
+    username: record.username || '',
+    profile_picture_url: record.profile_picture_url || '',
+    note: record.note || '',
+    status: record.status,
+    ...(record.error ? { error: record.error } : {}),
+    createdAt: record.createdAt
+  };
+}
+
+function addSoraCharacter(keyHash, record) {
+  const all = loadSoraCharacters();
+  all[keyHash] = [record, ...(all[keyHash] || [])];
+  saveSoraCharacters(all);
+}
+
+// Writes back a refreshed record. Returns false (and writes nothing) when the record was
+// deleted meanwhile, so a poll that finishes after a DELETE does not bring it back.
+function updateSoraCharacter(keyHash, record) {
+  const all = loadSoraCharacters();
+  const list = all[keyHash] || [];
+  const idx = list.findIndex(r => r.id === record.id);
+  if (idx === -1) return false;
+  list[idx] = record;
+  saveSoraCharacters(all);
+  return true;
+}
+
+app.post('/sora/v1/characters', validateBody('soraCharacter'), async (req, res) => {
+  const apiKey = getBearerToken(req);
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing Authorization Bearer APIKey'));
+
+  const { url, note = '' } = req.valid;
+
+  let timestamps;
+  try {
+    timestamps = parseCharacterTimestamps(req.valid.timestamps);
+  } catch (err) {
+    return sendError(res, fieldErrors([{ field: 'timestamps', message: String(err?.message || err) }]));
+  }
+
+  const keyHash = sha256Short(apiKey);
+  const billing = billingFor(SORA_CHARACTER_MODEL);
+  const budget = holdBudget(apiKey, billing);
+  if (budget.exceeded) return sendBudgetExceeded(res, budget);
+
+  try {
+    const input = { video_url: url, timestamps };
+    if (note) input.character_prompt = note;
+    const taskId = await kieCreateTask(apiKey, SORA_CHARACTER_MODEL, input);
+
+    const record = {
+      id: `char_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      taskId,
+      characterId: null,
+      username: '',
+      profile_picture_url: '',
+      note,
+      status: 'processing',
+      source: { url, timestamps },
+      createdAt: new Date().toISOString()
+    };
+    addSoraCharacter(keyHash, record);
+    pushUsageLog(apiKey, { created_at: nowUnix(), model_name: SORA_CHARACTER_MODEL, prompt: note || '(no note)', image_count: 0, path: '/sora/v1/characters', kind: 'create', task_id: taskId, billing });
+    budget.release();
+
+    // Character extraction is usually quick: wait a bounded time so the page gets the
+    // @username in one round trip, otherwise hand back the id to poll with GET.
+    const deadline = Date.now() + SORA_CHARACTER_SYNC_MAX_WAIT_MS;
+    while (record.status === 'processing' && Date.now() < deadline) {
+      await new Promise(r => setTimeout(r, IMAGE_SYNC_POLL_MS));
+      await refreshSoraCharacter(apiKey, record);
+    }
+    if (!updateSoraCharacter(keyHash, record)) return sendError(res, apiError('not_found', 'Character was deleted'));
+
+    if (record.status === 'failed') return sendError(res, apiError(taskFailureCode(record.error), record.error), 'error', { id: record.id });
+    return res.status(record.status === 'completed' ? 200 : 202).json(publicSoraCharacter(record));
+  } catch (err) {
+    budget.release();
+    return sendError(res, err);
+  }
+});
+
+app.get('/sora/v1/characters', (req, res) => {
+  const apiKey = getBearerToken(req);
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing Authorization Bearer APIKey'));
+  const list = loadSoraCharacters()[sha256Short(apiKey)] || [];
+  res.json({ data: list.map(publicSoraCharacter), total: list.length });
+});
+
+app.get('/sora/v1/characters/:id', async (req, res) => {
   const apiKey = getBearerToken(req);
-  if (!apiKey) return res.status(401).json({ error: 'Missing Authorization Bearer APIKey' });
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing Authorization Bearer APIKey'));
+  const keyHash = sha256Short(apiKey);
+  const record = (loadSoraCharacters()[keyHash] || []).find(r => r.id === String(req.params.id));
+  if (!record) return sendError(res, apiError('not_found', 'Not found'));
 
-  const { url, timestamps } = req.body || {};
-  const note = String(req.body?.note || '').trim();
+  try {
+    if (record.status === 'processing') {
+      await refreshSoraCharacter(apiKey, record);
+      if (!updateSoraCharacter(keyHash, record)) return sendError(res, apiError('not_found', 'Not found'));
+    }
+    return res.json(publicSoraCharacter(record));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
 
+// Removes the local record only; KIE keeps no user-deletable character list.
+app.delete('/sora/v1/characters/:id', (req, res) => {
+  const apiKey = getBearerToken(req);
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing Authorization Bearer APIKey'));
   const keyHash = sha256Short(apiKey);
   const all = loadSoraCharacters();
   const list = all[keyHash] || [];
+  const idx = list.findIndex(r => r.id === String(req.params.id));
+  if (idx === -1) return sendError(res, apiError('not_found', 'Not found'));
 
-  const id = `char_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
-  const username = (note || 'character').replace(/\s+/g, '_').replace(/[^a-zA-Z0-9_\-]/g, '').slice(0, 20) || `character_${id.slice(-6)}`;
-
-  const record = {
-    id,
-    username,
-    profile_picture_url: '',
-    source: { url, timestamps },
-    createdAt: new Date().toISOString()
-  };
-  list.unshift(record);
+  list.splice(idx, 1);
   all[keyHash] = list;
   saveSoraCharacters(all);
-
-  pushUsageLog(apiKey, { created_at: nowUnix(), model_name: 'sora:characters(local)', prompt: note || '(no note)', image_count: 0, path: '/sora/v1/characters', kind: 'create' });
-  return res.json({ id: record.id, username: record.username, profile_picture_url: record.profile_picture_url });
+  res.json({ success: true });
 });
 
 // 4) Gemini-style /v1beta endpoint compatibility (used by multiple "gemini/*" pages)
 // We support:
 //  - Text-only prompt polishing: returns a Gemini-like JSON (candidates -> text)
 //  - Image generation / image editing: uses KIE image endpoints (best-effort) and returns inline_data (base64)
+//  - ?async=true on image requests: answers at once with a long-running operation
+//    ({ name: 'operations/<taskId>', done: false }) to poll at GET /v1beta/operations/:id,
+//    instead of holding the connection for up to IMAGE_SYNC_MAX_WAIT_MS
 
 function getApiKeyFromReq(req) {
   const bearer = getBearerToken(req);
@@ -999,9 +4634,25 @@ async function fetchBinaryAsBase64(url) {
   }
 }
 
+// Result images as Gemini inline_data parts, read from storage when mirrored.
+async function imageResultParts(urls, n) {
+  const parts = [{ text: '✅ 生成完成' }];
+  for (const u of urls.slice(0, n)) {
+    const key = storage.keyFromUrl(u);
+    if (key) {
+      const buf = await storage.read(key);
+      parts.push({ inline_data: { mime_type: detectImageMime(buf), data: buf.toString('base64') } });
+      continue;
+    }
+    const { mime, b64 } = await fetchBinaryAsBase64(u);
+    parts.push({ inline_data: { mime_type: mime, data: b64 } });
+  }
+  return parts;
+}
+
+// Local template, used only when the chat model cannot be reached.
 function simplePromptPolish(text) {
   if (!text) return '';
-  // Keep it deterministic & China-friendly (no extra outbound calls)
   return [
     '请将以下提示词优化为更适合生成高质量视频/图片的描述（保持原意，补充细节）：',
     '',
@@ -1011,33 +4662,115 @@ function simplePromptPolish(text) {
   ].join('\n');
 }
 
-app.post(/^\/v1beta\/models\/(.+):generateContent$/, async (req, res) => {
-  const apiKey = getApiKeyFromReq(req);
-  if (!apiKey) return res.status(401).json({ error: 'Missing APIKey (Authorization Bearer or ?key=...)' });
+// Gemini request -> chat messages: systemInstruction becomes the system message, role
+// "model" becomes "assistant" and inline images become data: URLs. The pages put their
+// instructions in the user text, which is passed through unchanged.
+function geminiToChatMessages(body) {
+  const messages = [];
+  const system = body?.systemInstruction?.parts || [];
+  const systemText = system.map(p => p?.text || '').join('\n\n').trim();
+  if (systemText) messages.push({ role: 'system', content: systemText });
+
+  for (const c of body?.contents || []) {
+    const content = [];
+    for (const p of c?.parts || []) {
+      if (typeof p?.text === 'string' && p.text.trim()) content.push({ type: 'text', text: p.text.trim() });
+      const inline = p?.inline_data || (p?.inlineData ? { mime_type: p.inlineData.mimeType, data: p.inlineData.data } : null);
+      if (inline?.data) content.push({ type: 'image_url', image_url: { url: `data:${inline.mime_type || 'image/png'};base64,${inline.data}` } });
+    }
+    if (!content.length) continue;
+    messages.push({
+      role: c.role === 'model' ? 'assistant' : 'user',
+      content: content.every(p => p.type === 'text') ? content.map(p => p.text).join('\n\n') : content
+    });
+  }
+  return messages;
+}
 
-  const modelId = req.params?.[0] || '';
-  const body = req.body || {};
-  const { prompt, images } = extractGeminiTextAndInlineImages(body);
+// Errors the caller has to act on; anything else means chat is unavailable and the local
+// template is used instead.
+const POLISH_PASSTHROUGH_CODES = new Set(['unauthorized', 'insufficient_credits', 'rate_limited', 'quota_exceeded', 'content_policy']);
+
+// Rewrite the prompt with PROMPT_POLISH_MODEL through KIE chat.
+// Returns { text, model, usage }; model is null when the local template was used.
+async function polishPrompt(apiKey, body, prompt) {
+  const generationConfig = body?.generationConfig || {};
+  try {
+    const { text, usage } = await kieChatComplete(apiKey, {
+      model: PROMPT_POLISH_MODEL,
+      messages: geminiToChatMessages(body),
+      max_tokens: generationConfig.maxOutputTokens || PROMPT_POLISH_MAX_TOKENS,
+      ...(generationConfig.temperature !== undefined ? { temperature: generationConfig.temperature } : {})
+    });
+    if (text) return { text, model: PROMPT_POLISH_MODEL, usage };
+    console.warn('[kenwei-aigc] prompt polish: empty chat reply, using the local template');
+  } catch (err) {
+    if (POLISH_PASSTHROUGH_CODES.has(err.code)) throw err;
+    console.warn('[kenwei-aigc] prompt polish: chat unavailable, using the local template:', err.message || err);
+  }
+  return { text: simplePromptPolish(prompt), model: null, usage: null };
+}
 
+// What a generateContent body asks for. Text-only requests (and text models, the prompt
+// optimizer, even with an image attached) are prompt polishing; the rest generate images.
+function geminiRequestPlan(modelId, body, images) {
   const responseModalities = Array.isArray(body?.generationConfig?.responseModalities)
     ? body.generationConfig.responseModalities
     : [];
   const wantsImage = responseModalities.includes('IMAGE') || String(modelId).toLowerCase().includes('image');
+  const entry = findModel(modelId, 'gemini');
+  return { entry, polish: !wantsImage && (images.length === 0 || entry?.kind === 'text') };
+}
 
-  try {
-    // Text-only: local polish (no outbound)
-    if (!wantsImage && images.length === 0) {
-      const polished = simplePromptPolish(prompt);
-      pushUsageLog(apiKey, { created_at: nowUnix(), model_name: `local-prompt-polish:${modelId || 'text'}`, prompt, image_count: 0, path: `/v1beta/models/${modelId}:generateContent`, kind: 'text' });
-      return res.json({
-        candidates: [{
-          content: { parts: [{ text: polished || prompt || '' }] }
-        }]
-      });
+function logPromptPolish(apiKey, routePath, modelId, prompt, images, polished) {
+  const modelName = polished.model || `local-prompt-polish:${modelId || 'text'}`;
+  const tokens = polished.usage?.total_tokens;
+  pushUsageLog(apiKey, {
+    created_at: nowUnix(),
+    model_name: modelName,
+    prompt,
+    image_count: images.length,
+    path: routePath,
+    kind: 'text',
+    prompt_tokens: polished.usage?.prompt_tokens ?? null,
+    completion_tokens: polished.usage?.completion_tokens ?? null,
+    billing: billingFor(modelName, { tokens })
+  });
+}
+
+function geminiUsageMetadata(usage) {
+  return usage ? {
+    usageMetadata: {
+      promptTokenCount: usage.prompt_tokens,
+      candidatesTokenCount: usage.completion_tokens,
+      totalTokenCount: usage.total_tokens
     }
+  } : {};
+}
 
-    // Image generation/editing via KIE (best-effort)
-    const n = Math.min(4, Math.max(1, Number(body?.generationConfig?.candidateCount || 1)));
+// Budget check, inline image uploads and the KIE create call for an image request.
+// Returns { taskId, recordBase, n } once the task is registered.
+async function createGeminiImageTask(apiKey, routePath, modelId, entry, valid, prompt, images) {
+  if (!entry || entry.kind !== 'image') {
+    throw fieldErrors([{ field: 'model', message: `Unsupported image model: ${modelId || '(empty)'} (supported: ${modelChoices(['gemini'], 'image').join(', ')})` }]);
+  }
+  const generationConfig = valid.generationConfig || {};
+  const imageConfig = generationConfig.imageConfig || {};
+  const params = resolveModelParams(entry, { ratio: imageConfig.aspectRatio, resolution: imageConfig.targetResolution }, {
+    ratio: 'generationConfig.imageConfig.aspectRatio',
+    resolution: 'generationConfig.imageConfig.targetResolution'
+  });
+  // Only what the caller asked for is sent; KIE picks its own default otherwise.
+  const aspectRatio = imageConfig.aspectRatio ? params.ratio : null;
+  const resolution = imageConfig.targetResolution ? params.resolution : null;
+
+  const n = generationConfig.candidateCount || 1;
+  const imageSize = generationConfig.imageSize || '1024x1024';
+  const billing = billingFor(`kie-image:${modelId || 'image'}`, { images: n, resolution: resolution || imageSize });
+  const budget = holdBudget(apiKey, billing);
+  if (budget.exceeded) throw apiError('quota_exceeded', budget.message, { retryAfter: budget.retryAfter, showDetail: true });
+
+  try {
     const filesUrl = [];
     for (let i = 0; i < images.length; i++) {
       const img = images[i];
@@ -1047,92 +4780,463 @@ app.post(/^\/v1beta\/models\/(.+):generateContent$/, async (req, res) => {
       filesUrl.push(url);
     }
 
-    const { taskId, recordBase } = await kieImageGenerate(apiKey, {
+    const imageParams = {
       prompt: prompt || 'Generate an image',
       n,
-      size: body?.generationConfig?.imageSize || '1024x1024',
+      size: imageSize,
+      ...(aspectRatio ? { aspectRatio } : {}),
+      ...(resolution ? { resolution } : {}),
       filesUrl
-    });
+    };
+    const { callbackToken, callBackUrl } = newTaskCallback();
+    const { taskId, recordBase } = await kieImageGenerate(apiKey, { ...imageParams, ...(callBackUrl ? { callBackUrl } : {}) });
+    recordTaskCreated(apiKey, { id: taskId, model: `kie-image:${modelId || 'image'}`, path: routePath, upstream: 'image', recordBase, callbackToken, billing, params: imageParams });
 
-    pushUsageLog(apiKey, { created_at: nowUnix(), model_name: `kie-image:${modelId || 'image'}`, prompt, image_count: filesUrl.length, path: `/v1beta/models/${modelId}:generateContent`, kind: 'image-create' });
+    pushUsageLog(apiKey, { created_at: nowUnix(), model_name: `kie-image:${modelId || 'image'}`, prompt, image_count: filesUrl.length, path: routePath, kind: 'image-create', task_id: taskId, billing });
+    return { taskId, recordBase, n };
+  } finally {
+    budget.release();
+  }
+}
+
+app.post(labeledRoute(/^\/v1beta\/models\/(.+):generateContent$/, REQUEST_SCHEMAS.geminiGenerate.path), validateBody('geminiGenerate'), async (req, res) => {
+  const apiKey = getApiKeyFromReq(req);
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing APIKey (Authorization Bearer or ?key=...)'));
+
+  const modelId = req.params?.[0] || '';
+  const routePath = `/v1beta/models/${modelId}:generateContent`;
+  const { prompt, images } = extractGeminiTextAndInlineImages(req.body || {});
+  const { entry, polish } = geminiRequestPlan(modelId, req.body, images);
+
+  try {
+    if (polish) {
+      const polished = await polishPrompt(apiKey, req.valid, prompt);
+      logPromptPolish(apiKey, routePath, modelId, prompt, images, polished);
+      return res.json({
+        candidates: [{
+          content: { role: 'model', parts: [{ text: polished.text || prompt || '' }] },
+          finishReason: 'STOP'
+        }],
+        modelVersion: polished.model || 'local-prompt-polish',
+        ...geminiUsageMetadata(polished.usage)
+      });
+    }
+
+    // Image generation/editing via KIE (best-effort)
+    const { taskId, recordBase, n } = await createGeminiImageTask(apiKey, routePath, modelId, entry, req.valid, prompt, images);
 
-    const urls = await waitForKieImageResult(apiKey, recordBase, taskId);
-    const parts = [{ text: '✅ 生成完成' }];
-    for (const u of urls.slice(0, n)) {
-      const { mime, b64 } = await fetchBinaryAsBase64(u);
-      parts.push({ inline_data: { mime_type: mime, data: b64 } });
+    if (/^(1|true)$/i.test(String(req.query.async || ''))) {
+      return res.json(imageOperation(taskId, modelId, { status: 'processing', progress: 0 }));
     }
 
+    const remoteUrls = await waitForKieImageResult(apiKey, recordBase, taskId);
+    await waitForMirror(taskId);
+    const imageTask = findTask(taskId);
+    const urls = imageTask ? taskStateOf(imageTask).resultUrls : remoteUrls;
+    const parts = await imageResultParts(urls, n);
+
     return res.json({ candidates: [{ content: { parts } }] });
   } catch (err) {
-    return res.status(500).json({ error: String(err?.message || err) });
+    return sendError(res, err);
   }
 });
 
-// 5) OpenAI-compatible chat proxy (best-effort)
-// Existing chat pages stream SSE from /v1/chat/completions.
-// We forward the request to KIE and pipe the stream back as-is.
-app.post('/v1/chat/completions', async (req, res) => {
-  const apiKey = getBearerToken(req);
-  if (!apiKey) return res.status(401).json({ error: 'Missing Authorization Bearer APIKey' });
-
-  const upstreamCandidates = [
-    `${KIE_API_BASE}/v1/chat/completions`,
-    `${KIE_API_BASE}/api/v1/chat/completions`,
-  ];
+// Streaming variant for Gemini SDKs. ?alt=sse answers with `data: <chunk>` events, anything
+// else with Google's streamed JSON array; every chunk is a GenerateContentResponse.
+//  - prompt polishing: KIE chat SSE deltas become text chunks; the last chunk carries
+//    finishReason and usageMetadata
+//  - images: `: progress` comments keep the connection alive until one chunk with the
+//    inline_data parts. After TASK_EVENTS_MAX_STREAM_MS the stream ends with an error
+//    naming the operation to poll at GET /v1beta/operations/:id
+// Errors before the first byte use the usual envelope; later ones are sent as an
+// `{ error }` chunk, shaped like an operation error.
+app.post(labeledRoute(/^\/v1beta\/models\/(.+):streamGenerateContent$/, REQUEST_SCHEMAS.geminiStream.path), validateBody('geminiStream'), async (req, res) => {
+  const apiKey = getApiKeyFromReq(req);
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing APIKey (Authorization Bearer or ?key=...)'));
 
+  const modelId = req.params?.[0] || '';
+  const routePath = `/v1beta/models/${modelId}:streamGenerateContent`;
+  const { prompt, images } = extractGeminiTextAndInlineImages(req.body || {});
+  const { entry, polish } = geminiRequestPlan(modelId, req.body, images);
+  const stream = geminiStreamWriter(req, res);
   const controller = new AbortController();
-  req.on('close', () => controller.abort());
+  res.on('close', () => controller.abort());
 
-  const bodyStr = JSON.stringify(req.body || {});
+  try {
+    if (polish) {
+      const polished = await streamPromptPolish(apiKey, req.valid, prompt, stream, controller.signal);
+      logPromptPolish(apiKey, routePath, modelId, prompt, images, polished);
+      return stream.end();
+    }
 
-  for (const url of upstreamCandidates) {
-    try {
-      const { signal, cancel } = withTimeout(controller.signal, FETCH_TIMEOUT_MS);
-      const upstreamResp = await fetch(url, {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-          Accept: 'text/event-stream, application/json'
-        },
-        body: bodyStr,
-        signal
-      });
+    const task = await createGeminiImageTask(apiKey, routePath, modelId, entry, req.valid, prompt, images);
+    return await streamImageTask(apiKey, modelId, task, stream, controller.signal);
+  } catch (err) {
+    if (controller.signal.aborted) return res.end();
+    if (!stream.started) return sendError(res, err);
+    stream.chunk({ error: geminiError(err) });
+    return stream.end();
+  }
+});
 
-      if (upstreamResp.status === 404) {
-        cancel();
-        continue;
-      }
+// Chunk writer for :streamGenerateContent. Headers go out with the first write, so
+// validation and create errors can still use a normal error response.
+function geminiStreamWriter(req, res) {
+  const sse = req.query.alt === 'sse';
+  let count = 0;
+  const writer = {
+    started: false,
+    start() {
+      if (writer.started) return;
+      writer.started = true;
+      res.status(200);
+      res.setHeader('Content-Type', sse ? 'text/event-stream; charset=utf-8' : 'application/json; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache, no-transform');
+      res.setHeader('X-Accel-Buffering', 'no'); // nginx: do not buffer the stream
+      res.flushHeaders?.();
+      if (!sse) res.write('[');
+    },
+    chunk(data) {
+      writer.start();
+      res.write(sse ? `data: ${JSON.stringify(data)}\r\n\r\n` : `${count ? ',\r\n' : ''}${JSON.stringify(data)}`);
+      count++;
+    },
+    // Keep-alive: an SSE comment, or whitespace inside the JSON array.
+    comment(text) {
+      writer.start();
+      res.write(sse ? `: ${text}\n\n` : '\n');
+    },
+    end() {
+      writer.start();
+      if (!sse) res.write(']');
+      res.end();
+    }
+  };
+  return writer;
+}
+
+// `{ error }` body for a failed operation or stream: code is the HTTP status, status our
+// error code (see "Errors").
+function geminiError(err) {
+  const e = toApiError(err);
+  return { code: e.status, status: e.code, message: ERROR_CODES[e.code].message, details: e.detail || null };
+}
 
-      // Forward status + headers
-      res.status(upstreamResp.status);
-      upstreamResp.headers.forEach((v, k) => {
-        const key = k.toLowerCase();
-        if (key === 'content-encoding') return; // avoid compression issues
-        res.setHeader(k, v);
+// OpenAI chat SSE ("data: {choices:[{delta}]}" lines, "data: [DONE]") -> text deltas.
+// Calls onData for every JSON payload; tolerates a plain JSON answer as well.
+async function readChatStream(resp, onData) {
+  if (!/event-stream/i.test(resp.headers.get('content-type') || '')) {
+    const text = await resp.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch { /* not JSON */ }
+    if (json) onData(json);
+    return;
+  }
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const handleLine = (line) => {
+    const m = /^data:\s?(.*)$/.exec(line.trim());
+    if (!m || !m[1] || m[1] === '[DONE]') return;
+    try { onData(JSON.parse(m[1])); } catch { /* partial or non-JSON line */ }
+  };
+  for await (const bytes of resp.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  handleLine(buffer + decoder.decode());
+}
+
+// Streamed twin of polishPrompt: same fallback rules, deltas written as they arrive.
+// Returns { text, model, usage } for the usage log.
+async function streamPromptPolish(apiKey, body, prompt, stream, signal) {
+  const generationConfig = body?.generationConfig || {};
+  const chunk = (text, extra = {}) => stream.chunk({
+    candidates: [{ content: { role: 'model', parts: [{ text }] }, ...(extra.finishReason ? { finishReason: extra.finishReason } : {}) }],
+    modelVersion: extra.model,
+    ...geminiUsageMetadata(extra.usage)
+  });
+
+  let upstream = null;
+  try {
+    upstream = await openKieChatStream(apiKey, {
+      model: PROMPT_POLISH_MODEL,
+      messages: geminiToChatMessages(body),
+      max_tokens: generationConfig.maxOutputTokens || PROMPT_POLISH_MAX_TOKENS,
+      ...(generationConfig.temperature !== undefined ? { temperature: generationConfig.temperature } : {}),
+      stream: true,
+      stream_options: { include_usage: true }
+    }, signal);
+    if (!upstream.resp.ok) {
+      const text = await upstream.resp.text();
+      let json;
+      try { json = JSON.parse(text); } catch { json = { raw: text }; }
+      throw kieError('KIE chat', upstream.resp.status, json);
+    }
+
+    let text = '';
+    let usage = null;
+    await readChatStream(upstream.resp, (json) => {
+      if (json.usage) usage = json.usage;
+      const choice = json.choices?.[0];
+      const delta = choice?.delta?.content ?? choice?.message?.content;
+      const piece = Array.isArray(delta) ? delta.map(p => p?.text || '').join('') : String(delta || '');
+      if (!piece) return;
+      // Leading whitespace of the answer is dropped, as polishPrompt trims it.
+      const out = text ? piece : piece.replace(/^\s+/, '');
+      text += piece;
+      if (out) chunk(out, { model: PROMPT_POLISH_MODEL });
+    });
+    if (text.trim()) {
+      chunk('', { finishReason: 'STOP', model: PROMPT_POLISH_MODEL, usage });
+      return { text: text.trim(), model: PROMPT_POLISH_MODEL, usage };
+    }
+    console.warn('[kenwei-aigc] prompt polish: empty chat reply, using the local template');
+  } catch (err) {
+    if (signal.aborted) throw err;
+    if (POLISH_PASSTHROUGH_CODES.has(err.code) || stream.started) throw err;
+    console.warn('[kenwei-aigc] prompt polish: chat unavailable, using the local template:', err.message || err);
+  } finally {
+    upstream?.cancel();
+  }
+  const text = simplePromptPolish(prompt) || prompt || '';
+  chunk(text, { finishReason: 'STOP', model: 'local-prompt-polish' });
+  return { text, model: null, usage: null };
+}
+
+// Wait for an image task while keeping the stream alive, then send its images.
+// Progress comes from the shared task watcher (KIE callbacks included).
+function streamImageTask(apiKey, modelId, { taskId, n }, stream, signal) {
+  return new Promise((resolve, reject) => {
+    let finished = false;
+    let lastProgress = null;
+    const keyHash = sha256Short(apiKey);
+    const release = watchTask(apiKey, taskId);
+    const heartbeat = setInterval(() => stream.comment('keep-alive'), 15_000);
+    const finish = (fn) => {
+      if (finished) return;
+      finished = true;
+      taskEvents.off('update', onUpdate);
+      clearInterval(heartbeat);
+      clearTimeout(maxAge);
+      release();
+      fn();
+    };
+    const maxAge = setTimeout(() => finish(() => reject(apiError('upstream_timeout',
+      `Image generation is still running; poll GET /v1beta/operations/${taskId}`))), TASK_EVENTS_MAX_STREAM_MS);
+
+    function onUpdate(id, state, fromKeyHash) {
+      if (id !== taskId || finished || (fromKeyHash && fromKeyHash !== keyHash)) return;
+      if (state.status === 'failed') return finish(() => reject(apiError(taskFailureCode(state.error), state.error)));
+      if (state.status !== 'completed') {
+        if (state.progress !== lastProgress) stream.comment(`progress ${state.progress ?? 0}`);
+        lastProgress = state.progress;
+        return;
+      }
+      finish(async () => {
+        try {
+          await waitForMirror(taskId);
+          const task = findTask(taskId);
+          const parts = await imageResultParts(task ? taskStateOf(task).resultUrls : state.resultUrls || [], n);
+          stream.chunk({ candidates: [{ content: { role: 'model', parts }, finishReason: 'STOP' }], modelVersion: modelId });
+          stream.end();
+          resolve();
+        } catch (err) {
+          reject(err);
+        }
       });
+    }
+    taskEvents.on('update', onUpdate);
+    stream.comment(`operation operations/${taskId}`);
+    signal.addEventListener('abort', () => finish(resolve));
+  });
+}
+
+// Google-style long-running operation for an image task. `response` is the same
+// { candidates } body the synchronous call returns; `error` comes from geminiError.
+function imageOperation(taskId, modelId, state, parts) {
+  const op = {
+    name: `operations/${taskId}`,
+    metadata: { model: modelId || null, state: state.status, progress: state.progress ?? 0 },
+    done: state.status === 'completed' || state.status === 'failed'
+  };
+  if (state.status === 'completed') op.response = { candidates: [{ content: { parts } }] };
+  if (state.status === 'failed') op.error = geminiError(apiError(taskFailureCode(state.error), state.error));
+  return op;
+}
 
-      pushUsageLog(apiKey, { created_at: nowUnix(), model_name: String(req.body?.model || 'chat'), prompt: '(chat)', image_count: 0, path: '/v1/chat/completions', kind: 'chat' });
+// Poll an operation from ?async=true. Tasks created by this instance answer from the
+// registry; otherwise (another Vercel instance) the image record endpoint is asked directly.
+app.get('/v1beta/operations/:id', async (req, res) => {
+  const apiKey = getApiKeyFromReq(req);
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing APIKey (Authorization Bearer or ?key=...)'));
 
-      if (!upstreamResp.body) {
-        const text = await upstreamResp.text();
-        cancel();
-        return res.send(text);
+  const taskId = String(req.params.id || '');
+  const task = findTask(taskId);
+  if (task && (task.upstream !== 'image' || task.keyHash !== sha256Short(apiKey))) {
+    return sendError(res, apiError('not_found', `Operation not found: ${taskId}`));
+  }
+  const modelId = task ? String(task.model).replace(/^kie-image:/, '') : null;
+
+  try {
+    let state;
+    if (task) {
+      state = await getTaskState(apiKey, taskId);
+    } else {
+      const recordBase = endpointCandidates('imageGenerate')[0].recordUrl;
+      state = recordInfoState(await kieImageRecordInfo(apiKey, recordBase, taskId));
+    }
+    const parts = state.status === 'completed'
+      ? await imageResultParts(state.resultUrls || [], task?.params?.n || Infinity)
+      : undefined;
+    return res.json(imageOperation(taskId, modelId, state, parts));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// 5) OpenAI-compatible chat proxy (best-effort)
+// Existing chat pages stream SSE from /v1/chat/completions.
+// We forward the request to KIE and pipe the stream back as-is. When the model fails before
+// anything was sent, the CHAT_FALLBACKS chain for it is tried in order; X-Chat-Model names
+// the model that answered. Token counts (from `usage`, requested with
+// stream_options.include_usage for streams) and latency go to the usage log.
+
+let chatFallbackTable = null;
+
+function chatModelChain(model) {
+  if (!chatFallbackTable) {
+    chatFallbackTable = {};
+    if (CHAT_FALLBACKS) {
+      try {
+        chatFallbackTable = JSON.parse(CHAT_FALLBACKS);
+      } catch (err) {
+        console.warn('[kenwei-aigc] CHAT_FALLBACKS is not valid JSON, ignored:', err.message);
       }
+    }
+  }
+  const next = matchModelTable(chatFallbackTable, model);
+  return [...new Set([model, ...(Array.isArray(next) ? next : [])].filter(Boolean))];
+}
+
+// Upstream failures another model may not have. Bad keys, credits and content stay final.
+const CHAT_FALLBACK_CODES = new Set(['upstream_unavailable', 'upstream_timeout', 'upstream_error', 'generation_failed', 'rate_limited', 'internal_error']);
+
+// Read a chat answer far enough to tell whether it failed. Non-stream bodies are buffered
+// (KIE may answer 200 with an error code in the body); streams are left untouched.
+// Returns { error, text, json } where error is null for a usable answer.
+async function inspectChatAnswer(resp) {
+  if (resp.ok && /event-stream/i.test(resp.headers.get('content-type') || '')) return { error: null };
+  const text = await resp.text();
+  let json;
+  try { json = JSON.parse(text); } catch { json = { raw: text }; }
+  const bodyCode = Number(json?.code);
+  if (resp.ok && (json?.choices || !bodyCode || bodyCode === 200)) return { error: null, text, json };
+  const error = kieError('KIE chat', resp.ok ? bodyCode : resp.status, json);
+  const fallback = CHAT_FALLBACK_CODES.has(error.code) || (error.code === 'invalid_param' && /model/i.test(error.detail || ''));
+  return { error, fallback, text, json };
+}
 
-      const { Readable } = require('stream');
-      Readable.fromWeb(upstreamResp.body).pipe(res);
-      return;
+// Not copied from the upstream answer: the body is decoded by fetch and may be re-sent
+// buffered, so encoding and framing are Express's to set.
+const CHAT_SKIPPED_HEADERS = new Set(['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'keep-alive']);
+
+app.post('/v1/chat/completions', validateBody('chat'), async (req, res) => {
+  const apiKey = getBearerToken(req);
+  if (!apiKey) return sendError(res, apiError('unauthorized', 'Missing Authorization Bearer APIKey'));
+
+  // `req` emits 'close' as soon as its body has been read; the response closing is what
+  // tells us the client went away.
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  const requested = String(req.body?.model || '');
+  const body = { ...req.body };
+  if (body.stream && !body.stream_options) body.stream_options = { include_usage: true };
+  annotateRequest({ model: requested });
+  const startedAt = Date.now();
+
+  // First usable answer in the chain, else the last failure as KIE sent it.
+  let answer = null;
+  for (const model of chatModelChain(requested)) {
+    if (answer) {
+      answer.cancel();
+      console.warn(`[kenwei-aigc] chat: ${answer.model} failed (${answer.error.code}), trying ${model}`);
+    }
+    let upstream;
+    try {
+      upstream = await openKieChatStream(apiKey, { ...body, model }, controller.signal);
     } catch (err) {
-      // try next upstream candidate
-      continue;
+      if (answer) break; // endpoint-level failure: the next model fails the same way
+      return sendError(res, err);
     }
+    answer = { model, ...upstream, ...(await inspectChatAnswer(upstream.resp)) };
+    if (!answer.error || !answer.fallback) break;
+  }
+  const { model, resp: upstreamResp, cancel } = answer;
+  annotateRequest({ model });
+
+  // Forward status + headers
+  res.status(upstreamResp.status);
+  upstreamResp.headers.forEach((v, k) => {
+    if (CHAT_SKIPPED_HEADERS.has(k.toLowerCase())) return;
+    res.setHeader(k, v);
+  });
+  res.setHeader('X-Chat-Model', model);
+
+  let logged = false;
+  const logUsage = (usage, ok) => {
+    if (logged) return;
+    logged = true;
+    const tokens = usage?.total_tokens ?? null;
+    pushUsageLog(apiKey, {
+      created_at: nowUnix(),
+      model_name: model,
+      ...(model !== requested ? { requested_model: requested } : {}),
+      prompt: '(chat)', // conversation text is not kept in the usage log
+      image_count: 0,
+      path: '/v1/chat/completions',
+      kind: 'chat',
+      status: ok ? 'completed' : 'failed',
+      prompt_tokens: usage?.prompt_tokens ?? null,
+      completion_tokens: usage?.completion_tokens ?? null,
+      elapsed_ms: Date.now() - startedAt,
+      billing: billingFor(model, { tokens })
+    });
+  };
+
+  if (answer.text !== undefined) {
+    cancel();
+    logUsage(answer.json?.usage, !answer.error);
+    return res.send(answer.text);
   }
 
-  return res.status(502).json({
-    error: 'Chat endpoint is not available on this KIE base. If KIE provides OpenAI-compatible chat, set KIE_API_BASE to that host/path.'
+  // Stream: pass every byte through and pick `usage` out of the SSE lines on the way.
+  const { Readable } = require('stream');
+  const stream = Readable.fromWeb(upstreamResp.body);
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let usage = null;
+  stream.on('data', (bytes) => {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.includes('"usage"')) continue;
+      try { usage = JSON.parse(line.replace(/^data:\s?/, '')).usage || usage; } catch { /* not a JSON event */ }
+    }
   });
+  // Only a stream read to its end counts as completed; an upstream error or the client
+  // leaving first is logged as failed.
+  const done = (ok) => {
+    cancel();
+    logUsage(usage, ok && upstreamResp.ok);
+  };
+  stream.on('end', () => done(true));
+  stream.on('error', () => done(false));
+  res.on('close', () => done(false));
+  stream.pipe(res);
 });
 
 // ------------------------------
@@ -1145,10 +5249,18 @@ app.use(express.static(path.join(ROOT_DIR, 'public'), {
   maxAge: process.env.STATIC_MAX_AGE || '1h'
 }));
 
-// Uploaded files (base64 images saved by /api/generations)
+// Objects in S3-compatible storage without a public base URL: redirect to a fresh signed URL
+app.get('/media/*', (req, res) => {
+  const key = String(req.params[0] || '');
+  if (!isSafeStorageKey(key)) return res.status(400).send('Invalid key');
+  return sendStoredObject(res, key);
+});
+
+// Uploaded files (base64 images saved by /api/generations) and mirrored results (/uploads/results)
 // On Vercel, UPLOADS_DIR defaults to /tmp, so we must serve it explicitly.
 app.use('/uploads', express.static(UPLOADS_DIR, {
   etag: true,
+  acceptRanges: true, // video seeking
   maxAge: process.env.UPLOADS_MAX_AGE || '1h'
 }));
 
@@ -1158,7 +5270,7 @@ app.use('/uploads', express.static(UPLOADS_DIR, {
 
 // Handle 404 for API routes
 app.use('/api/*', (req, res) => {
-  res.status(404).json({ error: 'API endpoint not found', path: req.path });
+  res.status(404).json({ ...errorEnvelope(apiError('not_found', 'API endpoint not found')), error: 'API endpoint not found', path: req.path });
 });
 
 // SPA-ish fallback: serve index for non-API routes
@@ -1172,23 +5284,20 @@ app.get('*', (req, res) => {
 
 // Global error handler
 app.use((err, req, res, next) => {
-  console.error('[kenwei-aigc] Error:', err.message || err);
+  console.error(`[kenwei-aigc] Error (request ${req.id}):`, err.message || err);
   
   // Handle multer errors
   if (err.code === 'LIMIT_FILE_SIZE') {
-    return res.status(413).json({ error: 'File too large. Maximum size is 20MB.' });
+    return sendError(res, apiError('invalid_param', 'File too large. Maximum size is 20MB.', { status: 413, showDetail: true }));
   }
   
   // Handle JSON parse errors
   if (err.type === 'entity.parse.failed') {
-    return res.status(400).json({ error: 'Invalid JSON in request body' });
+    return sendError(res, apiError('invalid_param', 'Invalid JSON in request body', { showDetail: true }));
   }
   
   // Generic error response
-  res.status(err.status || 500).json({
-    error: err.message || 'Internal server error',
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
-  });
+  sendError(res, err, 'error', process.env.NODE_ENV === 'development' ? { stack: err.stack } : {});
 });
 
 // ------------------------------
@@ -1202,6 +5311,10 @@ if (require.main === module) {
     console.log(`[kenwei-aigc] server listening on http://127.0.0.1:${PORT}`);
     console.log(`[kenwei-aigc] KIE_API_BASE=${KIE_API_BASE}`);
     if (IS_VERCEL) console.log('[kenwei-aigc] VERCEL=1 (serverless mode)');
+    startTaskWorker();
+    startMirrorRetention();
+    if (taskWorker.timer) console.log(`[kenwei-aigc] task worker on (concurrency ${TASK_WORKER_CONCURRENCY})`);
+    if (taskWorker.timer && !TASK_KEY_STORAGE) console.warn('[kenwei-aigc] TASK_WORKER_SECRET is not set: APIKeys are not stored, so tasks are only polled while a page watches them');
   });
 }
 
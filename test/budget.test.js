@@ -0,0 +1,105 @@
+// Per-key budgets: jobs over the limit are refused with 429 quota_exceeded before KIE is called.
+// Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const keyHash = key => crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kenwei-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.UPLOADS_DIR = path.join(dataDir, 'uploads');
+process.env.TASK_WORKER_ENABLED = '0';
+process.env.MIRROR_RESULTS = '0';
+process.env.KIE_RETRIES = '0';
+process.env.LOG_TARGET = 'off';
+process.env.BUDGET_DAILY_JOBS = '2';
+process.env.BUDGET_FILE = path.join(dataDir, 'budgets.json');
+fs.writeFileSync(process.env.BUDGET_FILE, JSON.stringify({ keys: { [keyHash('credit-key')]: { dailyCredits: 1 } } }));
+
+// Fake KIE: every create gets a task id; every status query says the task failed.
+let creates = 0;
+const upstream = http.createServer((req, res) => {
+  req.resume();
+  req.on('end', () => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    if (req.url.includes('recordInfo')) {
+      res.end(JSON.stringify({ code: 200, data: { state: 'fail', failMsg: 'content rejected' } }));
+      return;
+    }
+    creates++;
+    res.end(JSON.stringify({ code: 200, data: { taskId: `task-${creates}` } }));
+  });
+});
+
+let server;
+let base;
+
+test.before(async () => {
+  await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+  process.env.KIE_API_BASE = `http://127.0.0.1:${upstream.address().port}`;
+  const app = require('../server.js');
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections?.();
+  server.close();
+  upstream.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function createTask(key) {
+  const res = await fetch(`${base}/kling/v1/videos/text2video`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ prompt: 'a cat', model_name: 'kling-v2-6', mode: 'pro' })
+  });
+  return { status: res.status, retryAfter: res.headers.get('retry-after'), body: await res.json() };
+}
+
+test('the job over the daily limit gets 429 quota_exceeded and never reaches KIE', async () => {
+  assert.equal((await createTask('jobs-key')).status, 200);
+  assert.equal((await createTask('jobs-key')).status, 200);
+  const before = creates;
+
+  const over = await createTask('jobs-key');
+  assert.equal(over.status, 429);
+  assert.equal(over.body.code, 'quota_exceeded');
+  assert.match(over.body.detail, /Daily job limit reached for this APIKey \(2 of 2 jobs used\)/);
+  assert.ok(Number(over.retryAfter) > 0);
+  assert.equal(creates, before);
+
+  const quota = await fetch(`${base}/api/quota`, { headers: { Authorization: 'Bearer jobs-key' } }).then(r => r.json());
+  assert.equal(quota.data.daily.jobs.used, 2);
+  assert.equal(quota.data.daily.jobs.remaining, 0);
+
+  // Other keys have their own budget.
+  assert.equal((await createTask('other-key')).status, 200);
+});
+
+test('failed tasks give their job back', async () => {
+  const first = await createTask('retry-key');
+  assert.equal((await createTask('retry-key')).status, 200);
+  assert.equal((await createTask('retry-key')).status, 429);
+
+  const poll = await fetch(`${base}/kling/v1/videos/text2video/${first.body.data.task_id}`, {
+    headers: { Authorization: 'Bearer retry-key' }
+  });
+  assert.equal(poll.status, 200);
+
+  assert.equal((await createTask('retry-key')).status, 200);
+});
+
+test('a per-key credit budget from BUDGET_FILE refuses jobs that would overrun it', async () => {
+  const over = await createTask('credit-key');
+  assert.equal(over.status, 429);
+  assert.equal(over.body.code, 'quota_exceeded');
+  assert.match(over.body.detail, /Daily credit budget reached for this APIKey \(0 of 1 credits used, this job needs about \d+/);
+});
@@ -0,0 +1,108 @@
+// KIE circuit breaker: opens after KIE_CIRCUIT_THRESHOLD failures in a row, fails fast while
+// open, then lets a single probe through once KIE_CIRCUIT_OPEN_MS has passed.
+// Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const OPEN_MS = 300;
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kenwei-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.UPLOADS_DIR = path.join(dataDir, 'uploads');
+process.env.TASK_WORKER_ENABLED = '0';
+process.env.MIRROR_RESULTS = '0';
+process.env.KIE_RETRIES = '0';
+process.env.LOG_TARGET = 'off';
+process.env.KIE_CIRCUIT_THRESHOLD = '2';
+process.env.KIE_CIRCUIT_OPEN_MS = String(OPEN_MS);
+
+// Fake KIE that is either down (503) or up, answering after `delayMs`.
+const kie = { up: false, delayMs: 0, hits: 0 };
+const upstream = http.createServer((req, res) => {
+  req.resume();
+  req.on('end', () => {
+    kie.hits++;
+    setTimeout(() => {
+      res.writeHead(kie.up ? 200 : 503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(kie.up ? { code: 200, data: { taskId: `task-${kie.hits}` } } : { code: 503, msg: 'maintenance' }));
+    }, kie.delayMs);
+  });
+});
+
+let server;
+let base;
+let kieHost;
+
+test.before(async () => {
+  await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+  kieHost = `127.0.0.1:${upstream.address().port}`;
+  process.env.KIE_API_BASE = `http://${kieHost}`;
+  const app = require('../server.js');
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections?.();
+  server.close();
+  upstream.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function createTask() {
+  const res = await fetch(`${base}/kling/v1/videos/text2video`, {
+    method: 'POST',
+    headers: { Authorization: 'Bearer test-key', 'Content-Type': 'application/json' },
+    body: JSON.stringify({ prompt: 'a cat', model_name: 'kling-v2-6', mode: 'pro' })
+  });
+  return { status: res.status, retryAfter: res.headers.get('retry-after'), body: await res.json() };
+}
+
+async function circuitState() {
+  const health = await fetch(`${base}/api/health`).then(r => r.json());
+  return health.circuits[kieHost]?.state;
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+test('opens after the threshold, then half-opens for a single probe', async () => {
+  // Two failures in a row open the circuit.
+  for (let i = 0; i < 2; i++) assert.equal((await createTask()).status, 503);
+  assert.equal(kie.hits, 2);
+  assert.equal(await circuitState(), 'open');
+
+  // While open, calls fail fast without reaching KIE.
+  const fast = await createTask();
+  assert.equal(fast.status, 503);
+  assert.equal(fast.body.code, 'upstream_unavailable');
+  assert.ok(Number(fast.retryAfter) >= 1);
+  assert.equal(kie.hits, 2);
+
+  // After the open period one probe goes through; its failure keeps the circuit open.
+  await sleep(OPEN_MS + 50);
+  assert.equal((await createTask()).status, 503);
+  assert.equal(kie.hits, 3);
+  assert.equal(await circuitState(), 'open');
+  assert.equal((await createTask()).status, 503);
+  assert.equal(kie.hits, 3);
+
+  // Half-open: of two concurrent calls only the probe reaches KIE; its success closes the circuit.
+  await sleep(OPEN_MS + 50);
+  kie.up = true;
+  kie.delayMs = 200;
+  const [probe, other] = await Promise.all([createTask(), sleep(50).then(createTask)]);
+  assert.equal(probe.status, 200);
+  assert.equal(other.status, 503);
+  assert.equal(other.body.code, 'upstream_unavailable');
+  assert.equal(kie.hits, 4);
+  assert.equal(await circuitState(), 'closed');
+
+  kie.delayMs = 0;
+  assert.equal((await createTask()).status, 200);
+  assert.equal(kie.hits, 5);
+});
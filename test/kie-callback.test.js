@@ -0,0 +1,111 @@
+// KIE callbacks (/api/kie/callback): only the token handed out at create time is accepted.
+// Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kenwei-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.UPLOADS_DIR = path.join(dataDir, 'uploads');
+process.env.TASK_WORKER_ENABLED = '0';
+process.env.MIRROR_RESULTS = '0';
+process.env.KIE_RETRIES = '0';
+process.env.LOG_TARGET = 'off';
+process.env.PUBLIC_BASE_URL = 'https://aigc.example';
+
+// Fake KIE: answers every create with a task id and remembers the callBackUrl it was given.
+const created = [];
+const upstream = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', c => chunks.push(c));
+  req.on('end', () => {
+    const json = JSON.parse(Buffer.concat(chunks).toString() || '{}');
+    const taskId = `task-${created.length + 1}`;
+    created.push({ taskId, callBackUrl: json.callBackUrl });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ code: 200, data: { taskId } }));
+  });
+});
+
+let server;
+let base;
+
+test.before(async () => {
+  await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+  process.env.KIE_API_BASE = `http://127.0.0.1:${upstream.address().port}`;
+  const app = require('../server.js');
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections?.();
+  server.close();
+  upstream.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const auth = { Authorization: 'Bearer test-key' };
+
+async function createTask() {
+  const res = await fetch(`${base}/kling/v1/videos/text2video`, {
+    method: 'POST',
+    headers: { ...auth, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ prompt: 'a cat', model_name: 'kling-v2-6', mode: 'pro' })
+  });
+  assert.equal(res.status, 200);
+  return created[created.length - 1];
+}
+
+async function callback(query, taskId) {
+  const res = await fetch(`${base}/api/kie/callback${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      code: 200,
+      data: { taskId, state: 'success', resultJson: JSON.stringify({ resultUrls: ['https://files.example/v.mp4'] }) }
+    })
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function taskStatus(taskId) {
+  const res = await fetch(`${base}/api/tasks/${taskId}`, { headers: auth });
+  return (await res.json()).status;
+}
+
+test('creates hand KIE a callback URL with a per-task token', async () => {
+  const { callBackUrl } = await createTask();
+  assert.match(callBackUrl, /^https:\/\/aigc\.example\/api\/kie\/callback\?token=[0-9a-f]{32}$/);
+});
+
+test('callbacks with a wrong or missing token are rejected and change nothing', async () => {
+  const { taskId } = await createTask();
+
+  const wrong = await callback(`?token=${'0'.repeat(32)}`, taskId);
+  assert.equal(wrong.status, 403);
+  assert.equal(wrong.body.code, 'unauthorized');
+
+  const missing = await callback('', taskId);
+  assert.equal(missing.status, 403);
+  assert.equal(missing.body.code, 'unauthorized');
+
+  // Another task's valid token does not work either.
+  const other = await createTask();
+  const borrowed = await callback(new URL(other.callBackUrl).search, taskId);
+  assert.equal(borrowed.status, 403);
+
+  assert.equal(await taskStatus(taskId), 'processing');
+});
+
+test('a callback with the task token records the result', async () => {
+  const { taskId, callBackUrl } = await createTask();
+  const res = await callback(new URL(callBackUrl).search, taskId);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { success: true, status: 'completed' });
+  assert.equal(await taskStatus(taskId), 'completed');
+});
@@ -0,0 +1,246 @@
+// Request schemas (validateBody) exercised through the routes, against a fake KIE server.
+// Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kenwei-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.UPLOADS_DIR = path.join(dataDir, 'uploads');
+process.env.TASK_WORKER_ENABLED = '0';
+process.env.MIRROR_RESULTS = '0';
+process.env.KIE_RETRIES = '0';
+process.env.LOG_TARGET = 'off';
+
+// Fake KIE: remembers every JSON body and answers every create with a task id.
+const upstreamCalls = [];
+const upstream = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', c => chunks.push(c));
+  req.on('end', () => {
+    let json = null;
+    try { json = JSON.parse(Buffer.concat(chunks).toString()); } catch { /* multipart upload */ }
+    upstreamCalls.push({ url: req.url, json });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    if (req.url.startsWith('/v1/chat/completions')) {
+      res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: 'ok' } }] }));
+      return;
+    }
+    res.end(JSON.stringify({ code: 200, data: { taskId: `task-${upstreamCalls.length}`, downloadUrl: 'https://files.example/u.png' } }));
+  });
+});
+
+let app;
+let server;
+let base;
+
+test.before(async () => {
+  await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+  process.env.KIE_API_BASE = `http://127.0.0.1:${upstream.address().port}`;
+  app = require('../server.js');
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections?.();
+  server.close();
+  upstream.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const auth = { Authorization: 'Bearer test-key' };
+
+async function postJson(route, body) {
+  const res = await fetch(base + route, {
+    method: 'POST',
+    headers: { ...auth, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function postForm(route, fields, files = []) {
+  const form = new FormData();
+  for (const [k, v] of Object.entries(fields)) form.append(k, v);
+  for (const f of files) form.append(f.field, new Blob([f.bytes || Buffer.from([0x89, 0x50, 0x4e, 0x47])], { type: f.type || 'image/png' }), f.name || 'a.png');
+  const res = await fetch(base + route, { method: 'POST', headers: auth, body: form });
+  return { status: res.status, body: await res.json() };
+}
+
+const fieldNames = (body) => (body.fields || []).map(f => f.field);
+const lastCreate = () => [...upstreamCalls].reverse().find(c => c.url.includes('createTask') || c.url.includes('/generate'))?.json;
+
+const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 1, 2, 3]).toString('base64');
+const geminiText = (text) => ({ contents: [{ role: 'user', parts: [{ text }] }] });
+const GEMINI_IMAGE = '/v1beta/models/gemini-2.5-flash-image:generateContent';
+
+test('required fields: missing and blank values are both rejected', async () => {
+  const missing = await postJson('/v1/videos', { model: 'sora-2-all' });
+  assert.equal(missing.status, 400);
+  assert.deepEqual(fieldNames(missing.body), ['prompt']);
+
+  const blank = await postJson('/v1/videos', { model: 'sora-2-all', prompt: '   ' });
+  assert.equal(blank.status, 400);
+  assert.deepEqual(blank.body.fields, [{ field: 'prompt', message: 'prompt is required' }]);
+});
+
+test('enum values match case-insensitively and are normalized', async () => {
+  const ok = await postJson('/kling/v1/videos/text2video', { model_name: 'KLING-V2-5-TURBO', prompt: 'a cat', mode: 'PRO' });
+  assert.equal(ok.status, 200, JSON.stringify(ok.body));
+  assert.match(lastCreate().model, /pro/);
+
+  const bad = await postJson('/kling/v1/videos/text2video', { prompt: 'a cat', mode: 'ultra' });
+  assert.equal(bad.status, 400);
+  assert.deepEqual(fieldNames(bad.body), ['mode']);
+  assert.match(bad.body.fields[0].message, /one of: std, pro/);
+});
+
+test('min/max: string length, array length, numbers and uploaded files', async () => {
+  const longPrompt = await postJson('/kling/v1/videos/text2video', { prompt: 'x'.repeat(2501) });
+  assert.equal(longPrompt.status, 400);
+  assert.deepEqual(fieldNames(longPrompt.body), ['prompt']);
+  assert.match(longPrompt.body.fields[0].message, /2500 characters/);
+
+  const emptyContents = await postJson(GEMINI_IMAGE, { contents: [] });
+  assert.equal(emptyContents.status, 400);
+  assert.deepEqual(fieldNames(emptyContents.body), ['contents']);
+
+  const tooMany = await postJson(GEMINI_IMAGE, { ...geminiText('cat'), generationConfig: { candidateCount: 5 } });
+  assert.equal(tooMany.status, 400);
+  assert.deepEqual(fieldNames(tooMany.body), ['generationConfig.candidateCount']);
+
+  const files = await postForm('/v1/videos', { model: 'veo3_fast', prompt: 'cat' },
+    [1, 2, 3, 4].map(() => ({ field: 'input_reference' })));
+  assert.equal(files.status, 400);
+  assert.deepEqual(fieldNames(files.body), ['input_reference']);
+  assert.match(files.body.fields[0].message, /at most 3 file/);
+
+  const notImage = await postForm('/v1/videos', { model: 'sora-2-all', prompt: 'cat' },
+    [{ field: 'input_reference', type: 'text/plain', name: 'a.txt' }]);
+  assert.equal(notImage.status, 400);
+  assert.match(notImage.body.fields[0].message, /must be an image/);
+});
+
+test('defaults fill in missing optional fields', async () => {
+  const kling = await postJson('/kling/v1/videos/text2video', { prompt: 'a cat' });
+  assert.equal(kling.status, 200, JSON.stringify(kling.body));
+  assert.equal(String(lastCreate().input.duration), '5');
+  assert.equal(lastCreate().input.aspect_ratio, '16:9');
+});
+
+test('nested items and fields report the full path', async () => {
+  const res = await postJson(GEMINI_IMAGE, {
+    contents: [{ parts: [{ text: 'cat' }, { inline_data: { mime_type: 'image/png', data: '%%%' } }] }]
+  });
+  assert.equal(res.status, 400);
+  assert.deepEqual(fieldNames(res.body), ['contents[0].parts[1].inline_data.data']);
+
+  const role = await postJson(GEMINI_IMAGE, { contents: [{ role: 'robot', parts: [{ text: 'cat' }] }] });
+  assert.deepEqual(fieldNames(role.body), ['contents[0].role']);
+
+  const chat = await postJson('/v1/chat/completions', { model: 'gpt-4o', messages: [{ role: 'robot', content: 'hi' }] });
+  assert.equal(chat.status, 400);
+  assert.deepEqual(fieldNames(chat.body), ['messages[0].role']);
+});
+
+test('cross-field checks run once the fields themselves are valid', async () => {
+  const frames = await postForm('/v1/videos', { model: 'veo3_fast', prompt: 'cat' }, [{ field: 'start_frame' }]);
+  assert.equal(frames.status, 400);
+  assert.deepEqual(fieldNames(frames.body), ['end_frame']);
+
+  const noContent = await postJson(GEMINI_IMAGE, { contents: [{ parts: [{}] }] });
+  assert.equal(noContent.status, 400);
+  assert.deepEqual(fieldNames(noContent.body), ['contents']);
+
+  const chat = await postJson('/v1/chat/completions', { model: 'gpt-4o', messages: [{ role: 'user', content: null }] });
+  assert.equal(chat.status, 400);
+  assert.deepEqual(fieldNames(chat.body), ['messages']);
+});
+
+test('chat accepts tool-call, developer and function messages', async () => {
+  const res = await postJson('/v1/chat/completions', {
+    model: 'gpt-4o',
+    messages: [
+      { role: 'developer', content: 'be brief' },
+      { role: 'user', content: 'weather?' },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'weather', arguments: '{}' } }] },
+      { role: 'tool', tool_call_id: 'c1', content: 'sunny' },
+      { role: 'function', name: 'weather', content: 'sunny' }
+    ]
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+});
+
+test('every problem is listed, in the route\'s error shape', async () => {
+  // shape 'error': { error, code, message, detail, fields }
+  const videos = await postJson('/v1/videos', { model: 'sora-2-all', prompt: 'cat', seconds: 'ten', size: 'wide' });
+  assert.equal(videos.status, 400);
+  assert.equal(videos.body.code, 'invalid_param');
+  assert.equal(typeof videos.body.error, 'string');
+  assert.deepEqual(fieldNames(videos.body), ['seconds', 'size']);
+
+  // shape 'message': { message, code, detail, fields } and no `error`
+  const kling = await postJson('/kling/v1/videos/image2video', { prompt: 'cat', cfg_scale: 3 });
+  assert.equal(kling.status, 400);
+  assert.equal(kling.body.code, 'invalid_param');
+  assert.equal(kling.body.error, undefined);
+  assert.match(kling.body.message, /请求参数有误/);
+  assert.deepEqual(fieldNames(kling.body).sort(), ['cfg_scale', 'image']);
+
+  const character = await postJson('/sora/v1/characters', { url: 'ftp://x', timestamps: '0,3' });
+  assert.equal(character.status, 400);
+  assert.deepEqual(fieldNames(character.body), ['url']);
+});
+
+test('valid requests reach KIE with normalized values', async () => {
+  const res = await postJson('/kling/v1/videos/image2video', { prompt: 'cat', image: `data:image/png;base64,${png}`, duration: 10 });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(String(lastCreate().input.duration), '10');
+  // no model_name: the same job as before versions were selectable
+  assert.equal(lastCreate().model, 'kling-2.6/image-to-video');
+  assert.equal(lastCreate().input.aspect_ratio, '16:9');
+  assert.equal(lastCreate().input.sound, false);
+
+  const chosen = await postJson('/kling/v1/videos/image2video', { model_name: 'kling-v2-6', prompt: 'cat', image: `data:image/png;base64,${png}` });
+  assert.equal(chosen.status, 200, JSON.stringify(chosen.body));
+  assert.equal(lastCreate().input.aspect_ratio, undefined);
+});
+
+test('gemini image ratio and resolution reach KIE once the registry accepts them', async () => {
+  const res = await postJson('/v1beta/models/gemini-3-pro-image-preview:generateContent?async=true', {
+    ...geminiText('cat'),
+    generationConfig: { imageConfig: { aspectRatio: '16:9', targetResolution: 2048 } }
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  const sent = [...upstreamCalls].reverse().find(c => c.url.includes('/generate')).json;
+  assert.equal(sent.aspectRatio, '16:9');
+  assert.equal(sent.resolution, '2048');
+
+  const plain = await postJson(GEMINI_IMAGE + '?async=true', geminiText('cat'));
+  assert.equal(plain.status, 200, JSON.stringify(plain.body));
+  const plainSent = [...upstreamCalls].reverse().find(c => c.url.includes('/generate')).json;
+  assert.equal(plainSent.aspectRatio, undefined);
+
+  const unsupported = await postJson(GEMINI_IMAGE, { ...geminiText('cat'), generationConfig: { imageConfig: { aspectRatio: '7:3' } } });
+  assert.equal(unsupported.status, 400);
+  assert.deepEqual(fieldNames(unsupported.body), ['generationConfig.imageConfig.aspectRatio']);
+});
+
+test('Sora takes one input_reference and no frame fields', async () => {
+  const frames = await postForm('/v1/videos', { model: 'sora-2-all', prompt: 'cat' }, [{ field: 'start_frame' }, { field: 'end_frame' }]);
+  assert.equal(frames.status, 400);
+  assert.deepEqual(fieldNames(frames.body), ['start_frame', 'end_frame']);
+
+  const two = await postForm('/v1/videos', { model: 'sora-2-all', prompt: 'cat' }, [{ field: 'input_reference' }, { field: 'input_reference' }]);
+  assert.equal(two.status, 400);
+  assert.deepEqual(fieldNames(two.body), ['input_reference']);
+
+  const one = await postForm('/v1/videos', { model: 'sora-2-all', prompt: 'cat' }, [{ field: 'input_reference' }]);
+  assert.equal(one.status, 200, JSON.stringify(one.body));
+  assert.equal(lastCreate().input.image_urls.length, 1);
+});